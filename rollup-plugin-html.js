@@ -8,10 +8,12 @@
 import path from 'node:path'
 import fs from 'node:fs'
 import crypto from 'node:crypto'
+import { createRequire } from 'node:module'
+import http from 'node:http'
 
 import { createFilter } from '@rollup/pluginutils'
 import { parse, serialize } from 'parse5'
-import { transform as lightningTransform, browserslistToTargets } from 'lightningcss'
+import { transform as lightningTransform, transformStyleAttribute as lightningTransformStyleAttribute, bundleAsync as lightningBundleAsync, browserslistToTargets } from 'lightningcss'
 import { minify as terserMinify } from 'terser'
 import browserslist from 'browserslist'
 
@@ -22,7 +24,7 @@ import browserslist from 'browserslist'
  * @param {Array} [results=[]] Results array (internal).
  * @returns {Array} Array of matching nodes.
  */
-function findNodes(node, predicate, results = []) {
+export function findNodes(node, predicate, results = []) {
     if (predicate(node)) {
         results.push(node)
     }
@@ -45,7 +47,7 @@ function findNodes(node, predicate, results = []) {
  * @param {object} node AST node.
  * @returns {string} Text content.
  */
-function getTextContent(node) {
+export function getTextContent(node) {
     if (node.childNodes?.[0]?.nodeName === '#text') {
         return node.childNodes[0].value || ''
     }
@@ -57,7 +59,7 @@ function getTextContent(node) {
  * @param {object} node AST node to modify.
  * @param {string} text Text to set.
  */
-function setTextContent(node, text) {
+export function setTextContent(node, text) {
     if (!node.childNodes) node.childNodes = []
     if (node.childNodes.length > 0 && node.childNodes[0].nodeName === '#text') {
         node.childNodes[0].value = text
@@ -67,64 +69,1737 @@ function setTextContent(node, text) {
     }
 }
 
+/**
+ * Get the value of an attribute on an element node.
+ * @param {object} node AST node.
+ * @param {string} name Attribute name.
+ * @returns {string | undefined} Attribute value, or undefined if absent.
+ */
+export function getAttribute(node, name) {
+    return node.attrs?.find(attr => attr.name === name)?.value
+}
+
+/**
+ * Set (or add) an attribute on an element node.
+ * @param {object} node AST node to modify.
+ * @param {string} name Attribute name.
+ * @param {string} value Attribute value.
+ */
+export function setAttribute(node, name, value) {
+    if (!node.attrs) node.attrs = []
+    const attr = node.attrs.find(attr => attr.name === name)
+    if (attr) {
+        attr.value = value
+    } else {
+        node.attrs.push({ name, value })
+    }
+}
+
+/**
+ * Deep-clone an AST node so it can be modified per output without affecting the original.
+ * @param {object} node AST node.
+ * @param {object} [parentNode=null] Parent of the clone.
+ * @returns {object} Cloned node.
+ */
+function cloneNode(node, parentNode = null) {
+    const clone = { ...node, parentNode }
+    if (node.attrs) clone.attrs = node.attrs.map(attr => ({ ...attr }))
+    if (node.childNodes) clone.childNodes = node.childNodes.map(child => cloneNode(child, clone))
+    if (node.content) clone.content = cloneNode(node.content) // <template> document fragment
+    return clone
+}
+
+/**
+ * Find the output chunk for an entry module in a bundle.
+ * @param {object} bundle Rollup output bundle.
+ * @param {string} moduleId Entry module ID (absolute path or virtual ID).
+ * @returns {object | undefined} Output chunk.
+ */
+function findEntryChunk(bundle, moduleId) {
+    const chunks = Object.values(bundle).filter(c => c.type === 'chunk') // Must be a JS chunk
+    // Prefer the chunk whose entry point matches our module ID
+    return chunks.find(c => c.facadeModuleId === moduleId) ??
+        // Fallback: Check if our module ID is part of this chunk's modules
+        chunks.find(c => c.modules && c.modules[moduleId])
+}
+
+const VARIABLE_PATTERN = /\{\{\{\s*([\w$.-]+)\s*\}\}\}|\{\{\s*([\w$.-]+)\s*\}\}/g
+
+/**
+ * Replace `{{ name }}` (HTML-escaped) and `{{{ name }}}` (raw) with values from `data`.
+ * Dotted names (`{{ page.title }}`) read nested properties; unknown names are left untouched.
+ * In `<script>` and `<style>`, where the HTML parser does not decode entities, `{{ name }}`
+ * is escaped for a JS/CSS string literal instead (quotes, backslashes, line breaks and `</`).
+ * @param {string} text Template text.
+ * @param {object} data Template variables.
+ * @param {function(string, number): void} [onMissing] Called with each unknown variable name and its offset.
+ * @param {'script'|'style'|null} [element=null] Raw text element containing the text.
+ * @returns {string} Interpolated text.
+ */
+function interpolate(text, data, onMissing, element = null) {
+    return text.replace(VARIABLE_PATTERN, (match, raw, escaped, offset) => {
+        const name = raw || escaped
+        const value = name.split('.').reduce((obj, key) => obj?.[key], data)
+        if (value === undefined) {
+            onMissing?.(name, offset)
+            return match
+        }
+        if (raw) return String(value)
+        if (!element) return String(value).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`)
+        const lineBreaks = element === 'style' ? { '\n': '\\a ', '\r': '\\d ' } : { '\n': '\\n', '\r': '\\r' }
+        return String(value).replace(/<\/|[\\'"`\n\r]/g, c => c === '</' ? '<\\/' : lineBreaks[c] ?? `\\${c}`)
+    })
+}
+
+/**
+ * Keep only nodes whose source range is not nested inside an earlier node's range.
+ * @param {object[]} nodes AST nodes with `sourceCodeLocation`.
+ * @returns {object[]} Outermost nodes, sorted by source offset.
+ */
+function outermostNodes(nodes) {
+    const result = []
+    let end = -1
+    for (const node of nodes.filter(n => n.sourceCodeLocation).sort((a, b) => a.sourceCodeLocation.startOffset - b.sourceCodeLocation.startOffset)) {
+        const loc = node.sourceCodeLocation
+        if (loc.startOffset < end) continue
+        result.push(node)
+        end = loc.endTag ? loc.endTag.endOffset : loc.startTag.endOffset
+    }
+    return result
+}
+
+/**
+ * Check whether a node lives inside `<template>` content.
+ * @param {object} node AST node.
+ * @returns {boolean} True if an ancestor is a template's document fragment.
+ */
+function isInTemplate(node) {
+    for (let parent = node.parentNode; parent; parent = parent.parentNode) {
+        if (parent.nodeName === '#document-fragment') return true
+    }
+    return false
+}
+
+/**
+ * Create an element node.
+ * @param {string} tagName Tag name.
+ * @param {Record<string, string>} [attrs={}] Attributes.
+ * @param {object} [parentNode=null] Parent node.
+ * @returns {object} AST element node.
+ */
+export function createElement(tagName, attrs = {}, parentNode = null) {
+    return {
+        nodeName: tagName, tagName,
+        attrs: Object.entries(attrs).map(([name, value]) => ({ name, value })),
+        childNodes: [],
+        namespaceURI: 'http://www.w3.org/1999/xhtml',
+        parentNode
+    }
+}
+
+/**
+ * Check whether a URL points at a local file that should be processed.
+ * Absolute URLs, protocol-relative URLs, data URIs, root paths and fragments are not local.
+ * @param {string} [url] URL from an attribute or CSS.
+ * @returns {boolean} True if the URL is relative to the referencing file.
+ */
+function isLocalUrl(url) {
+    if (!url || !url.trim()) return false
+    return !/^(?:[a-z][a-z0-9+.-]*:|\/|#)/i.test(url.trim())
+}
+
+/**
+ * Strip query string and hash from a local URL.
+ * @param {string} url Local URL.
+ * @returns {string} URL path only.
+ */
+function cleanUrl(url) {
+    return url.trim().split(/[?#]/)[0]
+}
+
+/**
+ * Check whether a node is a `<link rel="stylesheet">`.
+ * @param {object} node AST node.
+ * @returns {boolean} True for stylesheet links.
+ */
+function isStylesheetLink(node) {
+    return node.nodeName === 'link' &&
+        (getAttribute(node, 'rel') || '').toLowerCase().split(/\s+/).includes('stylesheet')
+}
+
+/**
+ * Parse a `srcset` value into its image candidates.
+ * URLs are whitespace-free runs; commas only separate candidates after a URL (so data URIs survive).
+ * @param {string} value `srcset` attribute value.
+ * @returns {{ url: string, descriptor: string }[]} Image candidates.
+ */
+function parseSrcset(value) {
+    const candidates = []
+    const regex = /[\s,]*(\S+)/y
+    let index = 0
+    while (index < value.length) {
+        regex.lastIndex = index
+        const match = regex.exec(value)
+        if (!match) break
+        let url = match[1]
+        let descriptor = ''
+        index = regex.lastIndex
+        if (url.endsWith(',')) {
+            url = url.replace(/,+$/, '') // No descriptor
+        } else {
+            const end = value.indexOf(',', index)
+            descriptor = value.slice(index, end === -1 ? value.length : end).trim()
+            index = end === -1 ? value.length : end + 1
+        }
+        candidates.push({ url, descriptor })
+    }
+    return candidates
+}
+
+/**
+ * Visit every URL held by the asset attributes of a node, including each `srcset` candidate.
+ * @param {object} node AST node.
+ * @param {{ tag: string, attrs: string[], filter?: function(object): boolean }[]} attributes Tag/attribute table.
+ * @param {function(string, string): (string|undefined)} callback Receives a local URL and the attribute name;
+ *   may return a replacement URL.
+ */
+function visitAssetUrls(node, attributes, callback) {
+    for (const { tag, attrs, filter } of attributes) {
+        if (node.nodeName !== tag || (filter && !filter(node))) continue
+        for (const name of attrs) {
+            const value = getAttribute(node, name)
+            if (!value) continue
+            if (/srcset$/i.test(name)) {
+                let changed = false
+                const candidates = parseSrcset(value).map(({ url, descriptor }) => {
+                    const replaced = isLocalUrl(url) ? callback(url, name) : undefined
+                    if (replaced !== undefined && replaced !== url) changed = true
+                    return (replaced ?? url) + (descriptor ? ` ${descriptor}` : '')
+                })
+                if (changed) setAttribute(node, name, candidates.join(', '))
+            } else if (isLocalUrl(value)) {
+                const replaced = callback(value, name)
+                if (replaced !== undefined) setAttribute(node, name, replaced)
+            }
+        }
+    }
+}
+
+/**
+ * Check whether an inline `<script>` is executed by the browser (and thus subject to CSP `script-src`).
+ * @param {object} node Script node.
+ * @returns {boolean} True for classic, module and import map scripts.
+ */
+function isExecutableScript(node) {
+    const type = (getAttribute(node, 'type') || '').trim().toLowerCase()
+    return !type || ['module', 'importmap', 'text/javascript', 'application/javascript', 'text/ecmascript', 'application/ecmascript'].includes(type)
+}
+
+/**
+ * Serialize Content-Security-Policy directives.
+ * @param {Record<string, string|string[]>} directives Directive name to source list.
+ * @returns {string} Policy string.
+ */
+function serializeCsp(directives) {
+    return Object.entries(directives)
+        .map(([name, sources]) => [name, ...[].concat(sources)].join(' ').trim())
+        .join('; ')
+}
+
+/**
+ * Encode file contents as a base64 data URI, typed by the file extension.
+ * @param {string} fileName File name (for the MIME type).
+ * @param {string|Uint8Array} source File contents.
+ * @returns {string} Data URI.
+ */
+function toDataUri(fileName, source) {
+    const mime = MIME_TYPES[path.extname(fileName).slice(1).toLowerCase()] || 'application/octet-stream'
+    return `data:${mime};base64,${Buffer.from(source).toString('base64')}`
+}
+
+/**
+ * Calculate a URL from one output directory to an output file, both relative to the output dir.
+ * @param {string} fromDir Directory of the referencing file (relative to output dir).
+ * @param {string} fileName Referenced file (relative to output dir).
+ * @returns {string} POSIX relative URL, prefixed with './' when needed.
+ */
+function toRelativeUrl(fromDir, fileName) {
+    let relPath = path.relative(fromDir, fileName)
+        .split(path.sep).join('/') // Ensure POSIX separators ('/')
+    // Prepend './' if path doesn't start with '.' or '/' (needed for HTML src)
+    if (!relPath.startsWith('.') && !relPath.startsWith('/')) {
+        relPath = './' + relPath
+    }
+    return relPath
+}
+
+/**
+ * Recursively list the files of a directory, skipping `node_modules` and hidden directories.
+ * @param {string} dir Absolute directory path.
+ * @returns {string[]} Absolute file paths, sorted.
+ */
+function listFiles(dir) {
+    const files = []
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const file = path.join(dir, entry.name)
+        if (entry.isDirectory() && entry.name !== 'node_modules' && !entry.name.startsWith('.')) {
+            files.push(...listFiles(file))
+        } else if (entry.isFile()) {
+            files.push(file)
+        }
+    }
+    return files.sort()
+}
+
+/**
+ * Get the `href` of a document's `<base>` element.
+ * @param {object} ast Document.
+ * @returns {string | undefined} Trimmed href of the first `<base href>` (the only one that counts).
+ */
+function getBaseHref(ast) {
+    const base = findNodes(ast, node => node.nodeName === 'base' && getAttribute(node, 'href')?.trim())[0]
+    return base && getAttribute(base, 'href').trim()
+}
+
+/**
+ * Get the directory that relative URLs in a source HTML file resolve against: its own
+ * directory, or the one a relative `<base href>` points to.
+ * @param {object} ast Source document.
+ * @param {string} file Absolute HTML path.
+ * @returns {string} Absolute directory.
+ */
+function getSourceBaseDir(ast, file) {
+    const href = getBaseHref(ast)
+    if (!isLocalUrl(href)) return path.dirname(file) // No <base>, or not within the source tree
+    const resolved = path.resolve(path.dirname(file), cleanUrl(href))
+    return cleanUrl(href).endsWith('/') ? resolved : path.dirname(resolved)
+}
+
+/**
+ * Get the directory that relative URLs of an emitted page resolve against: the page's
+ * own directory, or the one its `<base href>` points to. Path-absolute and full URLs in
+ * `<base href>` are taken to address the output dir as the site root.
+ * @param {object} ast Page document.
+ * @param {string} htmlDir Directory of the page (relative to the output dir).
+ * @returns {string} Directory relative to the output dir.
+ */
+function getUrlBaseDir(ast, htmlDir) {
+    const href = getBaseHref(ast)
+    if (!href) return htmlDir
+    // Resolve on a stand-in origin whose root is the output dir
+    const pageUrl = new URL(`${htmlDir.split(path.sep).join('/')}/`, 'http://output.invalid/')
+    const pathname = decodeURI(new URL(href, pageUrl).pathname)
+    const baseDir = pathname.endsWith('/') ? pathname : path.posix.dirname(pathname)
+    return path.join('.', ...baseDir.split('/'))
+}
+
+/**
+ * Check whether an import specifier is bare (`lit`, `@scope/pkg/x.js`), as opposed to
+ * relative, absolute, URL or virtual specifiers.
+ * @param {string} specifier Import specifier.
+ * @returns {boolean} True for bare specifiers.
+ */
+function isBareSpecifier(specifier) {
+    return !/^(?:[a-z][a-z0-9+.-]*:|\/|\.\.?\/|\0)/i.test(specifier)
+}
+
+/**
+ * Normalize a page's import map for build-time resolution. Local addresses and scope
+ * prefixes become absolute paths (`{ file }`); URLs, including path-absolute ones, are
+ * left to the browser (`{ url }`).
+ * @param {object} json Parsed `<script type="importmap">` content.
+ * @param {string} dir Directory the page's relative URLs resolve against.
+ * @returns {{ imports: object, scopes: object }} Normalized import map.
+ */
+function normalizeImportMap(json, dir) {
+    const toPath = (url) => path.resolve(dir, url) + (url.endsWith('/') ? path.sep : '')
+    const normalize = (map) => Object.fromEntries(Object.entries(map || {})
+        .filter(([, address]) => typeof address === 'string')
+        .map(([key, address]) => [key, isLocalUrl(address) ? { file: toPath(address) } : { url: address }]))
+    return {
+        imports: normalize(json.imports),
+        scopes: Object.fromEntries(Object.entries(json.scopes || {})
+            .map(([scope, map]) => [isLocalUrl(scope) ? toPath(scope) : scope, normalize(map)]))
+    }
+}
+
+/**
+ * Resolve a bare specifier with a normalized import map: the scopes containing the
+ * importer first (most specific first), then the top-level `imports`. Within each, an
+ * exact key wins over the longest matching `/`-terminated prefix key.
+ * @param {{ imports: object, scopes: object }} importMap Normalized import map.
+ * @param {string} specifier Bare specifier.
+ * @param {string} importer Importing module ID.
+ * @returns {{ url?: string, file?: string, scoped: boolean } | null} Mapped address.
+ */
+function resolveImportMap(importMap, specifier, importer) {
+    const scopes = Object.keys(importMap.scopes)
+        .filter(scope => importer.startsWith(scope))
+        .sort((a, b) => b.length - a.length)
+    for (const scope of [...scopes, null]) {
+        const map = scope === null ? importMap.imports : importMap.scopes[scope]
+        const key = map[specifier] ? specifier : Object.keys(map)
+            .filter(key => key.endsWith('/') && specifier.startsWith(key))
+            .sort((a, b) => b.length - a.length)[0]
+        if (!key) continue
+        const rest = specifier.slice(key.length)
+        const { url, file } = map[key]
+        return url ? { url: url + rest, scoped: scope !== null } : { file: path.join(file, rest), scoped: scope !== null }
+    }
+    return null
+}
+
+/**
+ * Encode a number as a source map Base64 VLQ.
+ * @param {number} value Integer to encode.
+ * @returns {string} VLQ string.
+ */
+function encodeVlq(value) {
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
+    let vlq = value < 0 ? (-value << 1) | 1 : value << 1
+    let result = ''
+    do {
+        let digit = vlq & 31
+        vlq >>>= 5
+        if (vlq > 0) digit |= 32 // Continuation bit
+        result += chars[digit]
+    } while (vlq > 0)
+    return result
+}
+
+/**
+ * Get where the text of a raw-text element (`<script>`, `<style>`) starts in the HTML source.
+ * @param {object} node Element node.
+ * @param {string} html HTML source the document was parsed from.
+ * @returns {{ line: number, column: number } | null} 0-based location, or null if the
+ *   content was created or changed after parsing.
+ */
+function getContentLocation(node, html) {
+    const loc = node.childNodes?.[0]?.sourceCodeLocation
+    if (!loc || html.slice(loc.startOffset, loc.endOffset) !== getTextContent(node)) return null
+    return { line: loc.startLine - 1, column: loc.startCol - 1 }
+}
+
+/**
+ * Pad code with whitespace so its positions match its location in the HTML. Minifiers
+ * then produce source maps pointing straight into the HTML file.
+ * @param {string} code Code cut out of the HTML.
+ * @param {{ line: number, column: number }} loc 0-based location of the code.
+ * @returns {string} Padded code.
+ */
+function padToLocation(code, loc) {
+    return '\n'.repeat(loc.line) + ' '.repeat(loc.column) + code
+}
+
+/**
+ * Create a source map for code cut verbatim out of an HTML file, mapping
+ * each token back to its line and column in the HTML.
+ * @param {string} code Code cut out of the HTML.
+ * @param {{ line: number, column: number }} loc 0-based location of the code.
+ * @param {string} file Absolute HTML path.
+ * @param {string} html HTML source (included as `sourcesContent`).
+ * @returns {object} Source map (v3).
+ */
+function createSnippetMap(code, loc, file, html) {
+    let previousLine = 0
+    let previousColumn = 0
+    const mappings = code.split('\n').map((text, i) => {
+        const segments = []
+        let previousIndex = 0
+        for (const { index } of text.matchAll(/[\w$]+|\S/g)) {
+            const line = loc.line + i
+            const column = i === 0 ? loc.column + index : index
+            // [generated column, source index, source line, source column], each relative to the previous segment
+            segments.push(encodeVlq(index - previousIndex) + 'A' + encodeVlq(line - previousLine) + encodeVlq(column - previousColumn))
+            previousIndex = index
+            previousLine = line
+            previousColumn = column
+        }
+        return segments.join(',')
+    }).join(';')
+    return { version: 3, sources: [file], sourcesContent: [html], names: [], mappings }
+}
+
+// --- Diagnostics ---
+/**
+ * Build a code frame: the lines around a location, numbered, with a caret under the column.
+ * @param {string} source Source text.
+ * @param {number} line 1-based line.
+ * @param {number} column 0-based column.
+ * @returns {string} Code frame.
+ */
+function codeFrame(source, line, column) {
+    const lines = source.split(/\r?\n/)
+    const first = Math.max(line - 2, 1)
+    const last = Math.min(line + 2, lines.length)
+    const width = String(last).length
+    return lines.slice(first - 1, last).map((text, i) => {
+        const gutter = `${String(first + i).padStart(width)}: `
+        const row = gutter + text.replace(/\t/g, '  ')
+        if (first + i !== line) return row
+        const indent = text.slice(0, column).replace(/\t/g, '  ').length
+        return `${row}\n${' '.repeat(gutter.length + indent)}^`
+    }).join('\n')
+}
+
+/**
+ * Get the source location of a node, or of one of its attributes.
+ * @param {object} [node] parse5 node (nodes created after parsing have no location).
+ * @param {string} [attrName] Attribute name.
+ * @returns {{ line: number, column: number } | undefined} 1-based line, 0-based column.
+ */
+function getNodeLocation(node, attrName) {
+    const loc = node?.sourceCodeLocation
+    const target = (attrName && loc?.attrs?.[attrName]) || loc
+    return target ? { line: target.startLine, column: target.startCol - 1 } : undefined
+}
+
+/**
+ * Translate a location in code cut out of the HTML into a location in the HTML.
+ * @param {{ line: number, column: number }} contentLoc 0-based location of the code (see `getContentLocation`).
+ * @param {number} line 1-based line in the code.
+ * @param {number} column 0-based column in the code.
+ * @returns {{ line: number, column: number }} 1-based line, 0-based column in the HTML.
+ */
+function offsetLocation(contentLoc, line, column) {
+    return { line: contentLoc.line + line, column: line === 1 ? contentLoc.column + column : column }
+}
+
+/**
+ * Text assembled by templating from ranges of several files. Each segment maps `length`
+ * characters of `text` from `start` on to offset `origin` in the `source` of `file`;
+ * generated text (variable values) has no segment.
+ * @typedef {{ text: string, segments: { start: number, length: number, file: string, source: string, origin: number }[] }} MappedText
+ */
+
+/**
+ * Map the whole text of a file to itself.
+ * @param {string} file Absolute file path.
+ * @param {string} source File content.
+ * @returns {MappedText} Mapped text.
+ */
+function mapFile(file, source) {
+    return { text: source, segments: [{ start: 0, length: source.length, file, source, origin: 0 }] }
+}
+
+/**
+ * Cut a range out of a mapped text.
+ * @param {MappedText} mapped Mapped text.
+ * @param {number} start Start offset.
+ * @param {number} [end] End offset (default: end of text).
+ * @returns {MappedText} Mapped range.
+ */
+function sliceMapped({ text, segments }, start, end = text.length) {
+    return {
+        text: text.slice(start, end),
+        segments: segments.filter(s => s.start < end && s.start + s.length > start).map(s => {
+            const from = Math.max(s.start, start)
+            const to = Math.min(s.start + s.length, end)
+            return { ...s, start: from - start, length: to - from, origin: s.origin + from - s.start }
+        })
+    }
+}
+
+/**
+ * Concatenate mapped texts.
+ * @param {MappedText[]} parts Mapped texts.
+ * @returns {MappedText} Mapped text.
+ */
+function joinMapped(parts) {
+    let text = ''
+    const segments = []
+    for (const part of parts) {
+        segments.push(...part.segments.map(s => ({ ...s, start: s.start + text.length })))
+        text += part.text
+    }
+    return { text, segments }
+}
+
+/**
+ * Create a Rollup log for a location in a mapped text, reported in the file the location comes from
+ * (e.g. a partial). Locations in generated text point after the preceding source range.
+ * @param {string} code Stable diagnostic code (listed in the README).
+ * @param {string} message Message.
+ * @param {string} file Absolute path of the file the text was built for (without a location).
+ * @param {MappedText} mapped Mapped text the location refers to.
+ * @param {{ line: number, column: number }} [loc] 1-based line, 0-based column in `mapped.text`.
+ * @returns {object} Rollup log (see `createLog`).
+ */
+function createMappedLog(code, message, file, mapped, loc) {
+    if (!loc) return createLog(code, message, file)
+    const offset = mapped.text.split('\n').slice(0, loc.line - 1).reduce((sum, line) => sum + line.length + 1, loc.column)
+    const segment = mapped.segments.findLast(s => s.start <= offset)
+    if (!segment) return createLog(code, message, file, mapped.text, loc)
+    const origin = segment.origin + Math.min(offset - segment.start, segment.length)
+    const lines = segment.source.slice(0, origin).split('\n')
+    return createLog(code, message, segment.file, segment.source, { line: lines.length, column: lines.at(-1).length })
+}
+
+/**
+ * Create a Rollup log for a diagnostic, with `id`, `loc` and a code frame when the location is known.
+ * @param {string} code Stable diagnostic code (listed in the README).
+ * @param {string} message Message.
+ * @param {string} [file] Absolute path of the file the diagnostic refers to.
+ * @param {string} [source] Text the location refers to (for HTML pages: after templating).
+ * @param {{ line: number, column: number }} [loc] 1-based line, 0-based column.
+ * @returns {{ code: string, message: string, id?: string, loc?: object, frame?: string }} Rollup log.
+ */
+function createLog(code, message, file, source, loc) {
+    const log = { code, message }
+    if (file) log.id = file
+    if (file && loc) {
+        log.loc = { file, line: loc.line, column: loc.column }
+        if (source) log.frame = codeFrame(source, loc.line, loc.column)
+    }
+    return log
+}
+
+// --- HTML minification ---
+const HTML_NAMESPACE = 'http://www.w3.org/1999/xhtml'
+const VOID_ELEMENTS = new Set(['area', 'base', 'basefont', 'bgsound', 'br', 'col', 'embed', 'frame', 'hr', 'img', 'input', 'keygen', 'link', 'meta', 'param', 'source', 'track', 'wbr'])
+// Content serialized verbatim (parse5 parses <noscript> as raw text, scripting being enabled)
+const RAW_TEXT_ELEMENTS = new Set(['style', 'script', 'xmp', 'iframe', 'noembed', 'noframes', 'plaintext', 'noscript'])
+const PRESERVE_WHITESPACE_ELEMENTS = new Set(['pre', 'textarea', 'listing', 'plaintext', 'xmp', 'script', 'style'])
+// Elements whose rendering ignores surrounding whitespace (display: block, table parts)
+const BLOCK_ELEMENTS = new Set([
+    'html', 'head', 'body', 'title',
+    'address', 'article', 'aside', 'blockquote', 'details', 'dialog', 'dd', 'div', 'dl', 'dt', 'fieldset',
+    'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hgroup', 'hr',
+    'li', 'main', 'menu', 'nav', 'ol', 'p', 'pre', 'search', 'section', 'summary', 'ul', 'legend',
+    'table', 'caption', 'colgroup', 'col', 'thead', 'tbody', 'tfoot', 'tr', 'td', 'th', 'optgroup', 'option',
+])
+// Elements that do not render: whitespace around them collapses as if they were absent
+const HIDDEN_ELEMENTS = new Set(['script', 'style', 'template', 'link', 'meta', 'base', 'noscript'])
+const BOOLEAN_ATTRIBUTES = new Set([
+    'allowfullscreen', 'async', 'autofocus', 'autoplay', 'checked', 'controls', 'default', 'defer', 'disabled',
+    'formnovalidate', 'hidden', 'inert', 'ismap', 'itemscope', 'loop', 'multiple', 'muted', 'nomodule',
+    'novalidate', 'open', 'playsinline', 'readonly', 'required', 'reversed', 'selected',
+])
+// Elements after which a </p> end tag may be omitted (HTML spec, optional tags)
+const P_CLOSING_ELEMENTS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'details', 'dialog', 'div', 'dl', 'fieldset', 'figcaption',
+    'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hgroup', 'hr', 'main', 'menu',
+    'nav', 'ol', 'p', 'pre', 'search', 'section', 'table', 'ul',
+])
+const JS_MIME_TYPES = ['text/javascript', 'application/javascript', 'text/ecmascript', 'application/ecmascript']
+
+/**
+ * Check whether an attribute has its default value and can be removed.
+ * @param {object} node Element node.
+ * @param {{ name: string, value: string }} attr Attribute.
+ * @returns {boolean} True for `type` of scripts and styles, `<input type="text">` and `<form method="get">`.
+ */
+function isRedundantAttribute(node, attr) {
+    const value = attr.value.trim().toLowerCase()
+    switch (`${node.tagName} ${attr.name}`) {
+        case 'script type': return value === '' || JS_MIME_TYPES.includes(value)
+        case 'style type': return value === '' || value === 'text/css'
+        case 'link type': return value === 'text/css' && isStylesheetLink(node)
+        case 'input type': return value === 'text'
+        case 'form method': return value === 'get'
+        default: return false
+    }
+}
+
+/**
+ * Collapse whitespace in the text nodes of a tree, in place. Runs of whitespace become
+ * one space, and whitespace next to block-level boundaries is dropped. Whitespace between
+ * inline elements is kept (once across hidden elements such as `<script>` or `<template>`),
+ * as are `<pre>`/`<textarea>`, raw text and `white-space: pre*` elements.
+ * @param {object} node Root node.
+ */
+function collapseWhitespace(node) {
+    if (PRESERVE_WHITESPACE_ELEMENTS.has(node.tagName) || /white-space\s*:\s*(pre|break-spaces)/i.test(getAttribute(node, 'style') || '')) return
+    const children = node.nodeName === 'template' ? node.content?.childNodes : node.childNodes
+    if (!children) return
+    const isBlockBoundary = (sibling, parent) => sibling
+        ? BLOCK_ELEMENTS.has(sibling.tagName)
+        : !parent.tagName || BLOCK_ELEMENTS.has(parent.tagName) // Start/end of a document, fragment or block
+    const isHidden = child => child.nodeName === '#comment' || HIDDEN_ELEMENTS.has(child.tagName)
+    // Nearest sibling that renders (comments, hidden elements and whitespace are skipped)
+    const siblingOf = (index, step) => {
+        for (let i = index + step; i >= 0 && i < children.length; i += step) {
+            const sibling = children[i]
+            if (!isHidden(sibling) && (sibling.nodeName !== '#text' || !/^[ \t\n\f\r]*$/.test(sibling.value))) return sibling
+        }
+        return null
+    }
+    children.forEach((child, index) => {
+        if (child.nodeName !== '#text') return collapseWhitespace(child)
+        let text = child.value.replace(/[ \t\n\f\r]+/g, ' ')
+        let previousText = null // Text before this one across hidden elements, already collapsed
+        for (let i = index - 1; i >= 0; i--) {
+            const sibling = children[i]
+            if (sibling.nodeName === '#text' && sibling.value) { previousText = sibling; break }
+            if (sibling.nodeName !== '#text' && !isHidden(sibling)) break
+        }
+        if (isBlockBoundary(siblingOf(index, -1), node) || previousText?.value.endsWith(' ')) text = text.replace(/^ /, '')
+        if (isBlockBoundary(siblingOf(index, 1), node)) text = text.replace(/ $/, '')
+        child.value = text
+    })
+    const kept = children.filter(child => child.nodeName !== '#text' || child.value)
+    children.splice(0, children.length, ...kept)
+}
+
+/**
+ * Check whether an element's start tag may be omitted (HTML spec, optional tags).
+ * @param {object} node HTML element node.
+ * @returns {boolean} True if the parser implies the tag.
+ */
+function canOmitStartTag(node) {
+    const first = node.childNodes[0]
+    if (node.attrs.length > 0) return false
+    switch (node.tagName) {
+        case 'html': return first?.nodeName !== '#comment'
+        case 'head': return !first || Boolean(first.tagName)
+        case 'body': return !first || !(first.nodeName === '#comment' ||
+            (first.nodeName === '#text' && /^[ \t\n\f\r]/.test(first.value)) ||
+            ['meta', 'noscript', 'link', 'script', 'style', 'template'].includes(first.tagName))
+        default: return false
+    }
+}
+
+/**
+ * Check whether an element's end tag may be omitted (HTML spec, optional tags).
+ * @param {object} node HTML element node.
+ * @returns {boolean} True if the parser implies the tag.
+ */
+function canOmitEndTag(node) {
+    const siblings = node.parentNode?.childNodes ?? []
+    const next = siblings[siblings.indexOf(node) + 1]
+    const nextTag = next?.tagName
+    const parentTag = node.parentNode?.tagName
+    switch (node.tagName) {
+        case 'html':
+        case 'body': return next?.nodeName !== '#comment'
+        case 'head': return !next || !(next.nodeName === '#comment' || (next.nodeName === '#text' && /^[ \t\n\f\r]/.test(next.value)))
+        case 'li': return !next || nextTag === 'li'
+        case 'dt': return nextTag === 'dt' || nextTag === 'dd'
+        case 'dd': return !next || nextTag === 'dt' || nextTag === 'dd'
+        case 'p': return next
+            ? P_CLOSING_ELEMENTS.has(nextTag)
+            : !['a', 'audio', 'del', 'ins', 'map', 'noscript', 'video'].includes(parentTag) && !parentTag?.includes('-')
+        case 'option': return !next || ['option', 'optgroup', 'hr'].includes(nextTag)
+        case 'optgroup': return !next || ['optgroup', 'hr'].includes(nextTag)
+        case 'tr': return !next || nextTag === 'tr'
+        case 'td':
+        case 'th': return !next || nextTag === 'td' || nextTag === 'th'
+        case 'thead': return nextTag === 'tbody' || nextTag === 'tfoot'
+        case 'tbody': return !next || nextTag === 'tbody' || nextTag === 'tfoot'
+        case 'tfoot': return !next
+        default: return false
+    }
+}
+
+/**
+ * Serialize an attribute, without value for boolean and empty attributes and
+ * without quotes where the value allows it (depending on the options).
+ * @param {{ name: string, value: string, prefix?: string }} attr Attribute.
+ * @param {object} options Minify options.
+ * @returns {string} Serialized attribute.
+ */
+function serializeAttribute(attr, options) {
+    const name = attr.prefix ? `${attr.prefix}:${attr.name}` : attr.name
+    const value = attr.value.replace(/&/g, '&amp;').replace(/\u00a0/g, '&nbsp;')
+    if (options.collapseBooleanAttributes && (value === '' || (BOOLEAN_ATTRIBUTES.has(name) && value.toLowerCase() === name))) {
+        return name // <input disabled>, equivalent to an empty value
+    }
+    if (options.removeAttributeQuotes && value && !/[\s"'=<>`]/.test(value)) return `${name}=${value}`
+    return `${name}="${value.replace(/"/g, '&quot;')}"`
+}
+
+/**
+ * Serialize a parse5 tree like parse5's `serialize`, applying the markup-level minify
+ * options (boolean attributes, attribute quotes, optional tags).
+ * @param {object} node Document, fragment or node.
+ * @param {object} options Minify options.
+ * @returns {string} HTML.
+ */
+function serializeMinified(node, options) {
+    const children = (node.nodeName === 'template' ? node.content?.childNodes : node.childNodes) ?? []
+    const serializeChildren = () => children.map(child => serializeMinified(child, options)).join('')
+    switch (node.nodeName) {
+        case '#document':
+        case '#document-fragment': return serializeChildren()
+        case '#documentType': return `<!DOCTYPE ${node.name}>`
+        case '#comment': return `<!--${node.data ?? node.value}-->`
+        case '#text': return node.value.replace(/&/g, '&amp;').replace(/\u00a0/g, '&nbsp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    }
+
+    const isHtml = node.namespaceURI === HTML_NAMESPACE
+    const omitTags = options.removeOptionalTags && isHtml
+    let html = omitTags && canOmitStartTag(node)
+        ? ''
+        : `<${node.tagName}${node.attrs.map(attr => ' ' + serializeAttribute(attr, options)).join('')}>`
+    if (isHtml && VOID_ELEMENTS.has(node.tagName)) return html
+
+    if (isHtml && RAW_TEXT_ELEMENTS.has(node.tagName)) {
+        html += children.map(child => child.value ?? '').join('') // Not escaped
+    } else {
+        // The parser drops a newline right after these start tags: keep a leading one
+        if (isHtml && ['pre', 'textarea', 'listing'].includes(node.tagName) && children[0]?.value?.startsWith('\n')) html += '\n'
+        html += serializeChildren()
+    }
+    return omitTags && canOmitEndTag(node) ? html : `${html}</${node.tagName}>`
+}
+
 // --- Constants ---
 const NOOP_IMPORT_ID = '\0oy3o-rollup-plugin-htmlplugin:noop' // Virtual entry ID for no JS modules
-const INLINE_MODULE_PREFIX = '\0oy3o-rollup-plugin-html-inline:' // Prefix for inline script virtual module IDs
+// Query of inline script module IDs (`<HTML path>?...&index=<n>`). Not \0-prefixed, so that Rollup keeps
+// them in source maps, and imports resolve relative to the HTML file.
+const INLINE_MODULE_QUERY = '?oy3o-rollup-plugin-html-inline&index='
+
+const ICON_LINK_RELS = ['icon', 'shortcut', 'apple-touch-icon', 'apple-touch-icon-precomposed', 'mask-icon', 'manifest']
+
+/**
+ * Default tag/attribute table for the static asset pipeline (`assets.attributes`).
+ * `filter` narrows which elements of a tag are processed.
+ * @type {{ tag: string, attrs: string[], filter?: function(object): boolean }[]}
+ */
+export const DEFAULT_ASSET_ATTRIBUTES = [
+    { tag: 'img', attrs: ['src', 'srcset'] },
+    { tag: 'source', attrs: ['src', 'srcset'] },
+    { tag: 'video', attrs: ['src', 'poster'] },
+    { tag: 'audio', attrs: ['src'] },
+    { tag: 'track', attrs: ['src'] },
+    { tag: 'input', attrs: ['src'], filter: node => getAttribute(node, 'type') === 'image' },
+    {
+        tag: 'link', attrs: ['href'],
+        filter: node => (getAttribute(node, 'rel') || '').toLowerCase().split(/\s+/).some(rel => ICON_LINK_RELS.includes(rel))
+    },
+]
+
+// MIME types for data URIs of inlined assets
+const MIME_TYPES = {
+    png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', webp: 'image/webp',
+    avif: 'image/avif', svg: 'image/svg+xml', ico: 'image/x-icon', bmp: 'image/bmp',
+    woff: 'font/woff', woff2: 'font/woff2', ttf: 'font/ttf', otf: 'font/otf',
+    mp4: 'video/mp4', webm: 'video/webm', mp3: 'audio/mpeg', ogg: 'audio/ogg', wav: 'audio/wav',
+    vtt: 'text/vtt', json: 'application/json', webmanifest: 'application/manifest+json',
+    js: 'text/javascript', mjs: 'text/javascript', css: 'text/css',
+}
+
+const LIVE_RELOAD_PATH = '/__oy3o-rollup-plugin-html-live-reload' // Server-Sent Events endpoint of the dev server
+
+// Live-reload client injected into pages in watch builds. `css` events swap the page's
+// stylesheet links for those of the freshly built page (hashed names change), `reload` reloads.
+const LIVE_RELOAD_CLIENT = `(() => {
+    const source = new EventSource('${LIVE_RELOAD_PATH}')
+    source.addEventListener('reload', () => location.reload())
+    source.addEventListener('css', async () => {
+        const html = await (await fetch(location.href, { cache: 'no-store' })).text()
+        const next = new DOMParser().parseFromString(html, 'text/html')
+        const selector = 'link[rel~="stylesheet"]'
+        const links = [...document.querySelectorAll(selector)]
+        const nextLinks = [...next.querySelectorAll(selector)]
+        if (links.length !== nextLinks.length) return location.reload()
+        links.forEach((link, i) => { if (link.outerHTML !== nextLinks[i].outerHTML) link.replaceWith(nextLinks[i]) })
+    })
+})()`
+
+// Service worker emitted when no `serviceWorker.src` is given. Precaches the manifest on install
+// in a cache named after its revisions, deletes older precaches on activate, and answers GET
+// requests for precached URLs (directory URLs via their index.html) from the cache.
+const SERVICE_WORKER = `const manifest = __PRECACHE_MANIFEST__
+const cacheName = 'oy3o-precache-__PRECACHE_VERSION__'
+const urls = new Set(manifest.map(entry => new URL(entry.url, location).href))
+self.addEventListener('install', event => {
+    event.waitUntil(caches.open(cacheName).then(cache => cache.addAll([...urls])).then(() => self.skipWaiting()))
+})
+self.addEventListener('activate', event => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys.filter(key => key.startsWith('oy3o-precache-') && key !== cacheName).map(key => caches.delete(key))))
+        .then(() => self.clients.claim()))
+})
+self.addEventListener('fetch', event => {
+    if (event.request.method !== 'GET') return
+    let url = event.request.url.split('#')[0]
+    if (!urls.has(url) && urls.has(url + 'index.html')) url += 'index.html'
+    if (!urls.has(url)) return
+    event.respondWith(caches.open(cacheName)
+        .then(cache => cache.match(url))
+        .then(response => response || fetch(event.request)))
+})
+`
+
+/**
+ * Start a localhost static server for the output directory, with a live-reload
+ * event stream and history-API fallback.
+ * @param {{ root: string, port: number, fallback?: string }} options Server options.
+ * @returns {Promise<{ port: number, broadcast: function(string): void, close: function(): Promise<void> }>} Running server.
+ */
+function startDevServer({ root, port, fallback }) {
+    const clients = new Set()
+    const server = http.createServer((req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost')
+        if (pathname === LIVE_RELOAD_PATH) {
+            res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' })
+            res.write(': connected\n\n')
+            clients.add(res)
+            req.on('close', () => clients.delete(res))
+            return
+        }
+
+        let decoded
+        try {
+            decoded = decodeURIComponent(pathname)
+        } catch { // Malformed escape
+            res.writeHead(400, { 'Content-Type': 'text/plain' }).end('Bad request')
+            return
+        }
+        let file = path.join(root, decoded)
+        if (path.relative(root, file).startsWith('..')) { // Path traversal
+            res.writeHead(403).end()
+            return
+        }
+        if (fs.existsSync(file) && fs.statSync(file).isDirectory()) {
+            if (!pathname.endsWith('/')) { // Relative URLs of the page resolve against the directory
+                const { search } = new URL(req.url, 'http://localhost')
+                res.writeHead(301, { Location: `${pathname}/${search}` }).end()
+                return
+            }
+            file = path.join(file, 'index.html')
+        }
+        if (!fs.existsSync(file) && fallback && !path.extname(pathname)) {
+            file = path.join(root, fallback) // History-API routes
+        }
+        if (!fs.existsSync(file)) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' }).end('Not found')
+            return
+        }
+        const ext = path.extname(file).slice(1).toLowerCase()
+        res.writeHead(200, {
+            'Content-Type': ext === 'html' ? 'text/html; charset=utf-8' : MIME_TYPES[ext] || 'application/octet-stream',
+            'Cache-Control': 'no-store'
+        })
+        fs.createReadStream(file)
+            .on('error', () => res.destroy()) // Deleted or unreadable since the existence check
+            .pipe(res)
+    })
+
+    return new Promise((resolve, reject) => {
+        const listen = (attempt) => {
+            server.once('error', (e) => {
+                if (e.code === 'EADDRINUSE' && attempt < 10) return listen(attempt + 1) // Try the next port
+                reject(e)
+            })
+            server.listen(port + attempt, 'localhost', () => resolve({
+                port: server.address().port,
+                broadcast(event) {
+                    for (const client of clients) client.write(`event: ${event}\ndata: {}\n\n`)
+                },
+                close() {
+                    for (const client of clients) client.end()
+                    return new Promise(done => server.close(() => done()))
+                }
+            }))
+        }
+        listen(0)
+    })
+}
+
+/**
+ * @typedef {object} AssetOptions Static asset pipeline options.
+ * @property {string|string[]} [include] Glob pattern(s) for asset files to process.
+ * @property {string|string[]} [exclude] Glob pattern(s) for asset files to leave untouched.
+ * @property {number} [inlineLimit=0] Files smaller than this many bytes are inlined as data URIs.
+ * @property {{ tag: string, attrs: string[], filter?: function(object): boolean }[]} [attributes] Tag/attribute table.
+ */
+
+/**
+ * @typedef {object} PreloadOptions Module preload options.
+ * @property {'modulepreload'} [rel='modulepreload'] Link relation to inject.
+ * @property {string|string[]} [include] Glob pattern(s) for chunk file names to preload.
+ * @property {string|string[]} [exclude] Glob pattern(s) for chunk file names not to preload.
+ */
+
+/**
+ * @typedef {object} CspOptions Content-Security-Policy options.
+ * @property {Record<string, string|string[]>} [directives={}] Directives merged with the collected hashes.
+ * @property {'meta'|'json'|'headers'} [output='meta'] Inject a `<meta http-equiv>` tag, or emit a JSON or `_headers` file.
+ * @property {string} [fileName] File name for `json` (`csp.json`) and `headers` (`_headers`) output.
+ */
+
+/**
+ * @typedef {object} LegacyOptions Differential loading (`nomodule`) options.
+ * @property {string[]} [formats=['system', 'iife']] Output formats treated as the legacy output.
+ * @property {boolean|string} [systemjs=false] Inject a `nomodule` SystemJS loader for `system` output:
+ *   `true` for `systemjs/dist/s.min.js`, a local file path (emitted as asset) or a URL.
+ */
+
+/**
+ * @typedef {object} ClassicScriptOptions Options for local classic (non-module) `<script src>`.
+ * @property {boolean|string|string[]} [iife=false] Scripts (glob patterns, or `true` for all) bundled as
+ *   self-contained IIFE; the others are copied as hashed assets.
+ * @property {string|string[]} [exclude] Glob pattern(s) for scripts left untouched.
+ * @property {object[]} [plugins=[]] Rollup plugins for the IIFE builds.
+ */
+
+/**
+ * @typedef {object} InlineOptions Single-file output options.
+ * @property {boolean} [inlineDynamicImports=false] Force `output.inlineDynamicImports` so dynamic imports
+ *   do not prevent inlining (single HTML entry only).
+ */
+
+/**
+ * @typedef {object} ServeOptions Dev server options (watch mode only).
+ * @property {number} [port=8080] Port on localhost (the next free port is used if taken).
+ * @property {string} [fallback='index.html'] HTML file (relative to the output dir) served for unknown routes.
+ */
+
+/**
+ * @typedef {object} TemplatingOptions HTML templating options.
+ * @property {string} [tag='include'] Tag name for includes and layouts (`<include src="./partial.html"></include>`).
+ */
+
+/**
+ * @typedef {object} TransformContext Context passed to HTML transforms.
+ * @property {'pre'|'post'} stage `pre`: right after parsing, before scripts/styles are extracted.
+ *   `post`: in `generateBundle`, after all references are rewritten (before CSP hashing).
+ * @property {string} src Original input value (e.g. 'src/index.html').
+ * @property {string} dest Original input key.
+ * @property {string} fileName Output HTML path, relative to the output dir.
+ * @property {string|null} [locale] Locale of the page variant (`post` only, with `i18n`).
+ * @property {string|null} outputDir Output directory (`post` only).
+ * @property {object|null} bundle Rollup output bundle (`post` only).
+ */
+
+/**
+ * @callback HtmlTransform
+ * @param {object} document parse5 document; modify in place or return a replacement.
+ * @param {TransformContext} context Page and build information.
+ * @returns {object|void|Promise<object|void>} Optional replacement document.
+ */
+
+/**
+ * @typedef {object} I18nOptions Localized page variants, emitted as `<locale>/<page>`.
+ * @property {string[]} locales Locales, one variant of each page per locale.
+ * @property {string|Record<string, string|object>} messages Message catalog per locale: an object or a JSON file path,
+ *   or a JSON file path pattern with `[locale]` (e.g. `'src/locales/[locale].json'`).
+ * @property {string} [defaultLocale] Locale filling in missing messages and used for `hreflang="x-default"` (default: first locale).
+ * @property {string} [attribute='data-i18n'] Marker attribute: `data-i18n="key"` replaces the element's content with
+ *   the message, `data-i18n-<attr>="key"` sets attribute `<attr>`. Dotted keys read nested messages.
+ * @property {string} [origin] Site URL making the `hreflang` alternate links absolute (relative otherwise).
+ */
+
+/**
+ * @typedef {object} ServiceWorkerOptions Service worker with a precache manifest of the emitted files.
+ * @property {string} [fileName='sw.js'] Output path of the worker, relative to the output dir.
+ * @property {string} [src] Worker source, bundled as an IIFE with its `injectionPoint` replaced by the manifest.
+ *   A minimal precaching worker is generated when not set.
+ * @property {string} [injectionPoint='self.__WB_MANIFEST'] Expression in `src` replaced by the manifest.
+ * @property {object[]} [plugins] Rollup plugins used to bundle `src` (e.g. `nodeResolve()`).
+ * @property {string|string[]} [include] Glob pattern(s) of output files to precache (default: all).
+ * @property {string|string[]} [exclude] Glob pattern(s) of output files not to precache (default: source maps).
+ * @property {boolean|string|string[]} [register=true] Pages registering the worker: all, none, or glob pattern(s)
+ *   matched against their output path.
+ * @property {string} [scope] Registration scope.
+ */
+
+/**
+ * @typedef {object} ImportMapOptions Import map handling.
+ * @property {boolean} [update=false] Emit local mappings as chunks and rewrite the page's import map to them.
+ */
+
+/**
+ * @typedef {object} MinifyOptions HTML minification steps (`minify: true` enables all but `removeOptionalTags`).
+ * @property {boolean} [collapseWhitespace=true] Collapse whitespace, dropping it around block-level elements.
+ * @property {boolean} [collapseBooleanAttributes=true] Write boolean and empty attributes without value.
+ * @property {boolean} [removeAttributeQuotes=true] Remove attribute quotes where the value allows it.
+ * @property {boolean} [removeRedundantAttributes=true] Remove default attributes (`type` of scripts and styles, ...).
+ * @property {boolean} [removeOptionalTags=false] Omit optional start and end tags (`<html>`, `</p>`, `</li>`, ...).
+ * @property {boolean} [minifyStyleAttributes=true] Minify `style` attributes with LightningCSS.
+ * @property {boolean} [minifyEventHandlers=true] Minify `on*` handler attributes with Terser.
+ */
+
+/**
+ * @typedef {object} PluginOptions Plugin configuration options.
+ * @property {string|string[]} [include='**\/*.html'] Glob pattern(s) for HTML files.
+ * @property {string|string[]} [exclude] Glob pattern(s) to exclude.
+ * @property {boolean} [preserveStructure=true] Preserve HTML path structure in output.
+ * @property {string|string[]} [pages] Directories searched for HTML entries (matching `include`/`exclude`),
+ *   emitted at their path relative to the directory.
+ * @property {boolean} [cleanUrls=false] Emit each page as `<name>/index.html` (e.g. `about.html` as `about/index.html`).
+ * @property {boolean} [removeComments=true] Remove HTML comments.
+ * @property {string|function({ page: string, src?: string, index?: number }): string} [entryName='[name]'] Name of each
+ *   page's JS entries (`[name]` in `output.entryFileNames`): a pattern with `[name]`, `[page]`, `[dir]` and `[index]`,
+ *   or a function of the page's output file and the script `src` or inline module index.
+ * @property {string|function({ htmlFile: string, assetFile: string }): string} [base] Public path (e.g. `'/'` or a CDN
+ *   URL) prefixed to rewritten references, or a function returning each URL. Relative to the page when not set.
+ * @property {boolean|ImportMapOptions} [importMap=true] Resolve bare imports with the pages' `<script type="importmap">`.
+ * @property {boolean|MinifyOptions} [minify=false] Minify the emitted HTML.
+ * @property {boolean} [compressWhitespace=false] Deprecated: use `minify: { collapseWhitespace: true }`.
+ * @property {object} [lightningcss] Options for LightningCSS.
+ * @property {object} [terser] Options for Terser (for non-module inline scripts).
+ * @property {HtmlTransform|HtmlTransform[]} [transformHtml] Transforms applied to each page's AST.
+ * @property {TemplatingOptions|false} [templating] Includes and layouts, `false` to disable.
+ * @property {object|function({ src: string, dest: string }): object} [data] Variables for `{{ name }}` interpolation.
+ * @property {ClassicScriptOptions|false} [classicScripts] Classic script handling, `false` to leave them untouched.
+ * @property {AssetOptions|false} [assets] Static asset pipeline options, `false` to disable.
+ * @property {boolean|'modulepreload'|PreloadOptions} [preload=false] Inject `<link rel="modulepreload">` for static imports.
+ * @property {'sha256'|'sha384'|'sha512'|false} [integrity=false] Add Subresource Integrity hashes to emitted tags.
+ * @property {string|false} [crossorigin='anonymous'] `crossorigin` value added alongside `integrity`.
+ * @property {boolean|LegacyOptions} [legacy=false] Pair a legacy output with the module output and emit `nomodule` scripts.
+ * @property {boolean|{ fileName?: string }} [manifest=false] Emit a JSON manifest of each HTML entry's chunks and assets.
+ * @property {boolean|InlineOptions} [inline=false] Single-file output: inline scripts, styles and assets into the HTML.
+ * @property {boolean|'inline'} [sourcemap=false] Source maps for minified inline `<style>`/classic `<script>` blocks
+ *   and IIFE classic scripts: emitted `.map` files (`true`) or data URIs (`'inline'`).
+ * @property {boolean|ServeOptions} [serve=false] Serve the output dir with live reload in watch mode.
+ * @property {boolean|CspOptions} [csp=false] Generate a Content-Security-Policy with hashes of inline scripts and styles.
+ * @property {I18nOptions|false} [i18n=false] Emit a localized variant of each page per locale.
+ * @property {boolean|ServiceWorkerOptions} [serviceWorker=false] Emit a precaching service worker and register it in the pages.
+ * @property {boolean} [strict=false] Fail the build on unresolved local references and CSS errors instead of warning.
+ */
+
+/**
+ * HTML processor Rollup plugin factory.
+ * @param {PluginOptions} [options={}] Plugin options.
+ * @returns {object} Rollup plugin object.
+ */
+export default function RollupPlugin(options = {}) {
+    const filter = createFilter(options.include || '**/*.html', options.exclude)
+
+    const config = {
+        preserveStructure: options.preserveStructure === true,
+        pages: [].concat(options.pages || []),
+        cleanUrls: options.cleanUrls === true,
+        removeComments: options.removeComments !== false,
+        entryName: options.entryName || '[name]',
+        minify: !options.minify ? false : {
+            collapseWhitespace: true,
+            collapseBooleanAttributes: true,
+            removeAttributeQuotes: true,
+            removeRedundantAttributes: true,
+            removeOptionalTags: false,
+            minifyStyleAttributes: true,
+            minifyEventHandlers: true,
+            ...(typeof options.minify === 'object' ? options.minify : {})
+        },
+        lightningcss: {
+            minify: true,
+            targets: browserslistToTargets(browserslist('>= 0.5%')), // Default targets
+            ...(options.lightningcss || {})
+        },
+        terser: {
+            sourceMap: false,
+            mangle: true,
+            compress: true,
+            ...(options.terser || {})
+        },
+        templating: options.templating === false ? false : {
+            tag: 'include',
+            ...(options.templating || {})
+        },
+        data: options.data,
+        strict: options.strict === true,
+        base: typeof options.base === 'string' && options.base && !options.base.endsWith('/') ? `${options.base}/` : options.base,
+        sourcemap: options.sourcemap || false,
+        importMap: options.importMap === false ? false : {
+            update: false,
+            ...(typeof options.importMap === 'object' ? options.importMap : {})
+        },
+        classicScripts: options.classicScripts === false ? false : {
+            iife: false,
+            plugins: [],
+            ...(options.classicScripts || {})
+        },
+        assets: options.assets === false ? false : {
+            inlineLimit: 0,
+            attributes: DEFAULT_ASSET_ATTRIBUTES,
+            ...(options.assets || {})
+        },
+    }
+    if (options.compressWhitespace && !config.minify) {
+        config.minify = { collapseWhitespace: true } // Deprecated, reported in the options hook
+    }
+    const assetFilter = createFilter(config.assets?.include, config.assets?.exclude)
+    const classicExcludeFilter = createFilter(null, config.classicScripts?.exclude)
+    const iifeFilter = config.classicScripts?.iife === true
+        ? () => true
+        : config.classicScripts?.iife ? createFilter(config.classicScripts.iife) : () => false
+    config.preload = !options.preload ? false : {
+        rel: 'modulepreload',
+        ...(typeof options.preload === 'object' ? options.preload : typeof options.preload === 'string' ? { rel: options.preload } : {})
+    }
+    config.integrity = options.integrity || false
+    config.crossorigin = options.crossorigin ?? 'anonymous'
+    config.csp = !options.csp ? false : {
+        directives: {},
+        output: 'meta',
+        ...(typeof options.csp === 'object' ? options.csp : {})
+    }
+    config.legacy = !options.legacy ? false : {
+        formats: ['system', 'iife'],
+        systemjs: false,
+        ...(typeof options.legacy === 'object' ? options.legacy : {})
+    }
+    config.manifest = !options.manifest ? false : {
+        fileName: 'html-manifest.json',
+        ...(typeof options.manifest === 'object' ? options.manifest : {})
+    }
+    config.inline = !options.inline ? false : {
+        inlineDynamicImports: false,
+        ...(typeof options.inline === 'object' ? options.inline : {})
+    }
+    config.serve = !options.serve ? false : {
+        port: 8080,
+        fallback: 'index.html',
+        ...(typeof options.serve === 'object' ? options.serve : {})
+    }
+    config.i18n = !options.i18n ? false : {
+        attribute: 'data-i18n',
+        messages: {},
+        ...options.i18n,
+        defaultLocale: options.i18n.defaultLocale ?? options.i18n.locales?.[0]
+    }
+    config.serviceWorker = !options.serviceWorker ? false : {
+        fileName: 'sw.js',
+        injectionPoint: 'self.__WB_MANIFEST',
+        plugins: [],
+        exclude: '**/*.map',
+        register: true,
+        ...(typeof options.serviceWorker === 'object' ? options.serviceWorker : {})
+    }
+    const precacheFilter = createFilter(config.serviceWorker?.include, config.serviceWorker?.exclude, { resolve: false })
+    const registerFilter = config.serviceWorker?.register === true
+        ? () => true
+        : config.serviceWorker?.register ? createFilter(config.serviceWorker.register, null, { resolve: false }) : () => false
+    const preloadFilter = createFilter(config.preload?.include, config.preload?.exclude, { resolve: false })
+
+    /** @type {Map<string, { src: string, dest: string, ast: object, html: string, dir: string, inlineModules: { virtualId: string, code: string, value: string, loc: object | null }[], sourceMaps: object[], stylesheets: string[], assets: string[] }>} */
+    let htmlData = new Map() // Stores processed HTML data (key: absolute path)
+    let watchFiles = new Set() // Files read while processing HTML, registered in buildStart
+    let entryPages = new Map() // HTML pages (absolute paths) of each JS entry ID, for import map resolution
+    let modulePages = null // HTML pages of each module ID, tracked in resolveId when the pages' import maps differ
+    /** @type {Map<string, { code: string, urls: { placeholder: string, referenceId: string, suffix: string }[] }>} */
+    let cssData = new Map() // Bundled local stylesheets (key: absolute path)
+    /** @type {Map<string, { referenceId?: string, dataUri?: string }>} */
+    let emittedAssets = new Map() // Emitted or inlined assets (key: absolute path)
+    /** @type {Map<string, string>} */
+    let emittedScripts = new Map() // Emitted classic script reference IDs (key: absolute path)
+    let scriptMaps = new Map() // Source maps of IIFE classic scripts (key: reference ID)
+    let systemjsLoader = null // SystemJS loader: { url } or emitted asset
+    /** @type {{ module?: { dir: string, format: string, bundle: object }, legacy?: { dir: string, format: string, bundle: object } }} */
+    let pairedOutputs = {} // Module and legacy outputs awaiting each other (legacy mode)
+    let devServer = null // Running dev server (serve option, watch mode)
+    let reloadTimer = null // Debounces reload events across outputs
+    let fileHashes = new Map() // Content hash of each written file, to detect CSS-only changes
+    let pendingEvent = null // Reload event to send after the current write
+    /** @type {Map<string, object>} */
+    let catalogs = new Map() // i18n messages (key: locale)
+    let serviceWorkerCode = null // Bundled `serviceWorker.src`
+    /** @type {HtmlTransform[]} */
+    const transforms = [].concat(options.transformHtml || []) // Option and API-registered transforms
+    let pagesParsing = false // Between the `options` hook (pre stage) and `buildStart`
+    let lateTransforms = 0 // Transforms registered too late for this build's pre stage
+
+    /**
+     * Run the registered HTML transforms on a document.
+     * @param {object} document parse5 document.
+     * @param {TransformContext} context Transform context.
+     * @returns {Promise<object>} The (possibly replaced) document.
+     */
+    async function runTransforms(document, context) {
+        for (const transform of transforms) {
+            document = (await transform(document, context)) || document
+        }
+        return document
+    }
+
+    /**
+     * Report an unresolved local reference or a CSS error: a warning, or a build failure in `strict` mode.
+     * @param {object} context Rollup plugin context.
+     * @param {object} log Rollup log (see `createLog`).
+     */
+    function warnStrict(context, log) {
+        if (config.strict) context.error(log)
+        context.warn(log)
+    }
+
+    /**
+     * Emit a local file as a Rollup asset, or inline it as a data URI when it is
+     * smaller than `assets.inlineLimit`. Runs once per file and build.
+     * @param {object} context Rollup plugin context.
+     * @param {string} file Absolute file path.
+     * @returns {{ referenceId?: string, dataUri?: string }} Asset reference ID or data URI.
+     */
+    function emitAsset(context, file) {
+        let asset = emittedAssets.get(file)
+        if (!asset) {
+            context.addWatchFile(file)
+            const source = fs.readFileSync(file)
+            if (config.assets && source.length < config.assets.inlineLimit) {
+                asset = { dataUri: toDataUri(file, source) }
+            } else {
+                asset = { referenceId: context.emitFile({ type: 'asset', name: path.basename(file), source }) }
+            }
+            emittedAssets.set(file, asset)
+        }
+        return asset
+    }
+
+    /**
+     * Bundle a local stylesheet with LightningCSS (inlining `@import`) and emit
+     * the files referenced by its `url()`s as assets. Emitted URLs are left as
+     * placeholders until the stylesheet's own output location is known.
+     * Every file read while bundling is registered as a watch file.
+     * @param {object} context Rollup plugin context.
+     * @param {string} file Absolute stylesheet path.
+     * @returns {Promise<{ code: string, urls: { placeholder: string, referenceId: string, suffix: string }[] }>} Bundled stylesheet.
+     */
+    async function bundleStylesheet(context, file) {
+        const { code, dependencies = [] } = await lightningBundleAsync({
+            ...config.lightningcss,
+            filename: file,
+            analyzeDependencies: true,
+            resolver: {
+                read(filePath) {
+                    context.addWatchFile(filePath)
+                    return fs.readFileSync(filePath, 'utf-8')
+                }
+            }
+        })
+        let css = code.toString()
+        const urls = []
+        for (const dep of dependencies) {
+            if (dep.type !== 'url') continue
+            const assetPath = isLocalUrl(dep.url)
+                ? path.resolve(path.dirname(dep.loc.filePath), cleanUrl(dep.url))
+                : null
+            if (assetPath && fs.existsSync(assetPath) && assetFilter(assetPath)) {
+                const { referenceId, dataUri } = emitAsset(context, assetPath)
+                if (dataUri) {
+                    css = css.split(dep.placeholder).join(dataUri)
+                } else {
+                    urls.push({
+                        placeholder: dep.placeholder,
+                        referenceId,
+                        suffix: dep.url.trim().slice(cleanUrl(dep.url).length) // Keep ?query / #hash
+                    })
+                }
+            } else {
+                if (assetPath && !fs.existsSync(assetPath)) {
+                    const { filePath, start } = dep.loc
+                    warnStrict(context, createLog('MISSING_ASSET', `Asset "${dep.url}" not found. Keeping original URL.`,
+                        filePath, fs.readFileSync(filePath, 'utf-8'), { line: start.line, column: start.column - 1 }))
+                }
+                css = css.split(dep.placeholder).join(dep.url)
+            }
+        }
+        return { code: css, urls }
+    }
+
+    /**
+     * Bundle a script as a self-contained IIFE with a separate Rollup build, minified with
+     * the `terser` options. The files of the build are registered as watch files.
+     * @param {object} context Rollup plugin context.
+     * @param {string} file Absolute script path.
+     * @param {object[]} plugins Rollup plugins of the build.
+     * @returns {Promise<{ code: string, map: object | null }>} Code, and its source map with the `sourcemap` option.
+     */
+    async function buildIife(context, file, plugins) {
+        const { rollup } = await import('rollup')
+        const build = await rollup({
+            input: file,
+            plugins,
+            onwarn: warning => context.warn({ ...warning, message: `IIFE build of ${path.relative(process.cwd(), file)}: ${warning.message}` })
+        })
+        build.watchFiles.forEach(watchFile => context.addWatchFile(watchFile))
+        const { output } = await build.generate({ format: 'iife', inlineDynamicImports: true, sourcemap: !!config.sourcemap })
+        await build.close()
+        let { code, map } = output[0]
+        if (config.terser && config.terser.compress !== false) {
+            const result = await terserMinify(code, map
+                ? { ...config.terser, sourceMap: { content: map, includeSources: true, asObject: true } }
+                : config.terser)
+            code = result.code ?? code
+            if (result.map) map = result.map
+        }
+        return { code, map }
+    }
+
+    /**
+     * Emit a local classic script as a hashed asset: bundled as a self-contained
+     * IIFE (and minified with Terser) when matched by `classicScripts.iife`,
+     * otherwise copied as-is.
+     * @param {object} context Rollup plugin context.
+     * @param {string} file Absolute script path.
+     * @returns {Promise<string>} Asset reference ID.
+     */
+    async function emitClassicScript(context, file) {
+        if (!iifeFilter(file)) {
+            context.addWatchFile(file)
+            return context.emitFile({ type: 'asset', name: path.basename(file), source: fs.readFileSync(file) })
+        }
+        const { code, map } = await buildIife(context, file, config.classicScripts.plugins)
+        const referenceId = context.emitFile({
+            type: 'asset',
+            name: path.basename(file, path.extname(file)) + '.js',
+            source: code
+        })
+        if (map) {
+            // Sources are relative to the cwd; made relative to the map file in generateBundle
+            scriptMaps.set(referenceId, { ...map, sources: map.sources.map(source => path.resolve(source)) })
+        }
+        return referenceId
+    }
+
+    /**
+     * Resolve a bare specifier with the pages' import maps. When the maps disagree, only
+     * the maps of the pages whose module graph reached the importer are used.
+     * @param {object} context Rollup plugin context.
+     * @param {string} source Bare specifier.
+     * @param {string} importer Importing module ID.
+     * @returns {{ url?: string, file?: string, scoped: boolean } | null} Mapped address.
+     */
+    function resolveImportSpecifier(context, source, importer) {
+        const results = new Map()
+        for (const [file, data] of htmlData.entries()) {
+            const result = data.importMap && resolveImportMap(data.importMap, source, importer)
+            if (result) results.set(file, result)
+        }
+        // Top-level URL mappings all stay bare, each page's own import map resolves them
+        const outcome = (result) => result.url && !result.scoped ? 'external' : JSON.stringify(result)
+        if (new Set([...results.values()].map(outcome)).size <= 1) return results.values().next().value ?? null
+
+        const pages = [...(modulePages.get(importer) ?? [])].filter(page => results.has(page))
+        if (new Set(pages.map(page => outcome(results.get(page)))).size > 1) {
+            context.warn(createLog('IMPORT_MAP_CONFLICT', `Import maps of ${pages.map(page => path.relative(process.cwd(), page)).join(', ')} ` +
+                `map "${source}" differently, but share this module. Using the first.`, importer))
+        }
+        return pages.length > 0 ? results.get(pages[0]) : null
+    }
+
+    /**
+     * Minify the attributes of a page in place: `style` attributes with LightningCSS,
+     * `on*` handlers with Terser, and redundant default attributes removed.
+     * @param {object} context Rollup plugin context.
+     * @param {object} ast Page document.
+     * @param {string} file Absolute HTML path (for warnings).
+     * @param {MappedText} template HTML source of the page (for warnings).
+     */
+    async function minifyAttributes(context, ast, file, template) {
+        const { minifyStyleAttributes, minifyEventHandlers, removeRedundantAttributes } = config.minify
+        for (const node of findNodes(ast, node => node.attrs?.length > 0)) {
+            for (const attr of node.attrs) {
+                if (!attr.value.trim()) continue
+                try {
+                    if (minifyStyleAttributes && attr.name === 'style') {
+                        attr.value = lightningTransformStyleAttribute({
+                            code: Buffer.from(attr.value),
+                            minify: true,
+                            targets: config.lightningcss.targets
+                        }).code.toString()
+                    } else if (minifyEventHandlers && /^on[a-z]+$/.test(attr.name)) {
+                        const result = await terserMinify(attr.value, {
+                            ...config.terser,
+                            sourceMap: false,
+                            module: false,
+                            parse: { bare_returns: true } // Handlers are function bodies
+                        })
+                        attr.value = result.code?.replace(/;$/, '') ?? attr.value
+                    }
+                } catch (e) {
+                    context.warn(createMappedLog('MINIFY_ERROR', `Could not minify ${attr.name} attribute of <${node.tagName}>: ${e.message}. Keeping original.`,
+                        file, template, getNodeLocation(node, attr.name)))
+                }
+            }
+            if (removeRedundantAttributes) node.attrs = node.attrs.filter(attr => !isRedundantAttribute(node, attr))
+        }
+    }
+
+    /**
+     * Load the i18n message catalogs: objects are used as-is, JSON files are read and registered as watch files.
+     * @param {object} context Rollup plugin context.
+     */
+    function loadCatalogs(context) {
+        catalogs = new Map()
+        const { locales, messages } = config.i18n
+        for (const locale of locales) {
+            let catalog = typeof messages === 'string' ? messages.replace(/\[locale\]/g, locale) : messages[locale]
+            if (typeof catalog === 'string') {
+                const file = path.resolve(catalog)
+                if (!fs.existsSync(file)) context.error(createLog('MISSING_CATALOG', `Message catalog of "${locale}" not found: ${catalog}.`))
+                watchFiles.add(file) // Rebuild when the messages change
+                try {
+                    catalog = JSON.parse(fs.readFileSync(file, 'utf-8'))
+                } catch (e) {
+                    context.error(createLog('INVALID_CATALOG', `Invalid message catalog: ${e.message}`, file))
+                }
+            }
+            catalogs.set(locale, catalog || {})
+        }
+    }
+
+    /**
+     * Localize a copy of a page in place: `data-i18n` elements get the message as content,
+     * `data-i18n-<attr>` set attribute `<attr>`, the markers are removed and `<html lang>` is set.
+     * Missing messages fall back to the default locale (or keep the original) and are reported.
+     * @param {object} context Rollup plugin context.
+     * @param {object} ast Page document.
+     * @param {string} locale Locale of the variant.
+     * @param {string} file Absolute HTML path (for warnings).
+     * @param {MappedText} template HTML source of the page (for warnings).
+     */
+    function localizePage(context, ast, locale, file, template) {
+        const { attribute, defaultLocale } = config.i18n
+        const isMarker = (attr) => attr.name === attribute || attr.name.startsWith(`${attribute}-`)
+        const getMessage = (locale, key) => {
+            const message = key.split('.').reduce((obj, part) => obj?.[part], catalogs.get(locale))
+            return typeof message === 'string' || typeof message === 'number' ? String(message) : undefined
+        }
+        for (const node of findNodes(ast, node => !!node.attrs?.some(isMarker))) {
+            for (const { name, value } of node.attrs.filter(isMarker)) {
+                const key = value.trim()
+                let message = getMessage(locale, key)
+                if (message === undefined) {
+                    message = locale !== defaultLocale ? getMessage(defaultLocale, key) : undefined
+                    context.warn(createMappedLog('MISSING_TRANSLATION', `Missing message "${key}" for locale "${locale}". ` +
+                        (message === undefined ? 'Keeping original.' : `Using "${defaultLocale}".`), file, template, getNodeLocation(node, name)))
+                }
+                if (message === undefined) continue
+                if (name === attribute) {
+                    node.childNodes = [{ nodeName: '#text', value: message, parentNode: node }]
+                } else {
+                    setAttribute(node, name.slice(attribute.length + 1), message)
+                }
+            }
+            node.attrs = node.attrs.filter(attr => !isMarker(attr))
+        }
+        const root = findNodes(ast, node => node.nodeName === 'html')[0]
+        if (root) setAttribute(root, 'lang', locale)
+    }
+
+    /**
+     * Read an HTML (or partial) file, interpolating `{{ variables }}` when a `data` option is set.
+     * @param {object} context Rollup plugin context.
+     * @param {string} file Absolute file path.
+     * @param {object | undefined} data Page variables.
+     * @returns {MappedText} File content, mapped to the file.
+     */
+    function readTemplate(context, file, data) {
+        const source = fs.readFileSync(file, 'utf-8')
+        const template = mapFile(file, source)
+        if (!data) return template
+        // Contents of <script> and <style>, where values are escaped for string literals
+        const rawRanges = !source.includes('{{') ? [] : findNodes(parse(source, { sourceCodeLocationInfo: true }),
+            node => (node.nodeName === 'script' || node.nodeName === 'style') && !!node.sourceCodeLocation?.endTag)
+            .map(({ nodeName, sourceCodeLocation: loc }) => [loc.startTag.endOffset, loc.endTag.startOffset, nodeName])
+        const parts = []
+        let cursor = 0
+        for (const { 0: match, index } of source.matchAll(VARIABLE_PATTERN)) {
+            const value = interpolate(match, data, (name) => {
+                const lines = source.slice(0, index).split('\n')
+                context.warn(createLog('UNKNOWN_VARIABLE', `Unknown template variable "${name}".`,
+                    file, source, { line: lines.length, column: lines.at(-1).length }))
+            }, rawRanges.find(([start, end]) => index >= start && index < end)?.[2])
+            // Unknown variables stay as written, values are generated text
+            parts.push(sliceMapped(template, cursor, index), value === match ? sliceMapped(template, index, index + match.length) : { text: value, segments: [] })
+            cursor = index + match.length
+        }
+        parts.push(sliceMapped(template, cursor))
+        return joinMapped(parts)
+    }
 
-/**
- * @typedef {object} PluginOptions Plugin configuration options.
- * @property {string|string[]} [include='**\/*.html'] Glob pattern(s) for HTML files.
- * @property {string|string[]} [exclude] Glob pattern(s) to exclude.
- * @property {boolean} [preserveStructure=true] Preserve HTML path structure in output.
- * @property {boolean} [removeComments=true] Remove HTML comments.
- * @property {boolean} [compressWhitespace=false] Compress HTML whitespace (experimental).
- * @property {object} [lightningcss] Options for LightningCSS.
- * @property {object} [terser] Options for Terser (for non-module inline scripts).
- */
+    /**
+     * Expand includes/layouts in HTML text. Each `<include src>` is replaced by the
+     * (recursively expanded) partial, resolved relative to the including file.
+     * Content between the include tags fills the partial's `<slot>` elements:
+     * children with `slot="name"` (a `<template>`'s content or the element itself)
+     * fill named slots, the rest fills the default slot. The text is spliced at
+     * parse5 source offsets, so includes work anywhere (e.g. in `<head>`), and keep
+     * track of the file each range comes from for diagnostics.
+     * @param {object} context Rollup plugin context.
+     * @param {MappedText} template HTML text (already interpolated).
+     * @param {string} file Absolute path of the file the text comes from.
+     * @param {object | undefined} data Page variables.
+     * @param {string[]} [stack=[]] Including files (cycle detection).
+     * @returns {MappedText} Expanded HTML text.
+     */
+    function expandIncludes(context, template, file, data, stack = []) {
+        const { tag } = config.templating
+        const { text } = template
+        if (!text.includes(`<${tag}`)) return template
+        const fail = (code, message, node) => context.error(createMappedLog(code, message, file, template, getNodeLocation(node, 'src')))
+        const ast = parse(text, { sourceCodeLocationInfo: true })
+        const includes = outermostNodes(findNodes(ast, node => node.nodeName === tag))
 
-/**
- * HTML processor Rollup plugin factory.
- * @param {PluginOptions} [options={}] Plugin options.
- * @returns {object} Rollup plugin object.
- */
-export default function RollupPlugin(options = {}) {
-    const filter = createFilter(options.include || '**/*.html', options.exclude)
+        const parts = []
+        let cursor = 0
+        for (const node of includes) {
+            const loc = node.sourceCodeLocation
+            const href = getAttribute(node, 'src')
+            if (!href) fail('INVALID_INCLUDE', `<${tag}> requires a "src" attribute.`, node)
+            const partial = path.resolve(path.dirname(file), href)
+            if (!fs.existsSync(partial)) fail('MISSING_INCLUDE', `Included file "${href}" not found.`, node)
+            if (partial === file || stack.includes(partial)) fail('CIRCULAR_INCLUDE', `Circular include of "${href}".`, node)
+            watchFiles.add(partial) // Rebuild when the partial changes
 
-    const config = {
-        preserveStructure: options.preserveStructure === true,
-        removeComments: options.removeComments !== false,
-        compressWhitespace: options.compressWhitespace || false,
-        lightningcss: {
-            minify: true,
-            targets: browserslistToTargets(browserslist('>= 0.5%')), // Default targets
-            ...(options.lightningcss || {})
-        },
-        terser: {
-            sourceMap: false,
-            mangle: true,
-            compress: true,
-            ...(options.terser || {})
-        },
+            // --- Collect slot content (its includes resolve relative to this file) ---
+            const slots = {}
+            if (loc.endTag) {
+                let start = loc.startTag.endOffset
+                const defaultParts = []
+                for (const child of node.childNodes) {
+                    const name = child.attrs && getAttribute(child, 'slot')
+                    const childLoc = child.sourceCodeLocation
+                    if (!name || !childLoc) continue
+                    defaultParts.push(sliceMapped(template, start, childLoc.startOffset))
+                    start = childLoc.endOffset
+                    const content = child.nodeName === 'template' && childLoc.endTag
+                        ? sliceMapped(template, childLoc.startTag.endOffset, childLoc.endTag.startOffset)
+                        : sliceMapped(template, childLoc.startOffset, childLoc.endOffset)
+                    slots[name] = expandIncludes(context, content, file, data, stack)
+                }
+                defaultParts.push(sliceMapped(template, start, loc.endTag.startOffset))
+                const defaultContent = joinMapped(defaultParts)
+                if (defaultContent.text.trim()) slots.default = expandIncludes(context, defaultContent, file, data, stack)
+            }
+
+            const expanded = expandIncludes(context, readTemplate(context, partial, data), partial, data, [...stack, file])
+            parts.push(sliceMapped(template, cursor, loc.startOffset), fillSlots(expanded, slots))
+            cursor = loc.endTag ? loc.endTag.endOffset : loc.startTag.endOffset
+        }
+        parts.push(sliceMapped(template, cursor))
+        return joinMapped(parts)
     }
 
-    /** @type {Map<string, { src: string, dest: string, ast: object, inlineModules: { virtualId: string, code: string, value: string }[] }>} */
-    let htmlData = new Map() // Stores processed HTML data (key: absolute path)
-    let isWithDest = false // Flag if original Rollup input was an object
+    /**
+     * Replace `<slot>` elements (outside `<template>`) with provided content or their fallback content.
+     * @param {MappedText} template Expanded partial text.
+     * @param {Record<string, MappedText>} slots Slot name (`default` for unnamed) to content.
+     * @returns {MappedText} Text with slots filled.
+     */
+    function fillSlots(template, slots) {
+        if (!template.text.includes('<slot')) return template
+        const ast = parse(template.text, { sourceCodeLocationInfo: true })
+        const slotNodes = outermostNodes(findNodes(ast, node => node.nodeName === 'slot' && !isInTemplate(node)))
+        const parts = []
+        let cursor = 0
+        for (const node of slotNodes) {
+            const loc = node.sourceCodeLocation
+            const end = loc.endTag ? loc.endTag.endOffset : loc.startTag.endOffset
+            const fallback = sliceMapped(template, loc.startTag.endOffset, loc.endTag ? loc.endTag.startOffset : loc.startTag.endOffset)
+            parts.push(sliceMapped(template, cursor, loc.startOffset), slots[getAttribute(node, 'name') || 'default'] ?? fallback)
+            cursor = end
+        }
+        parts.push(sliceMapped(template, cursor))
+        return joinMapped(parts)
+    }
+
+    /**
+     * Determine the output HTML filename (relative to the output dir) for an HTML entry.
+     * With `cleanUrls`, `name.html` becomes `name/index.html` (except `index.html` and `404.html`).
+     * Locale variants (`i18n`) go in a directory per locale.
+     * @param {string} absolutePath Absolute path of the source HTML file.
+     * @param {{ src: string, dest: string, named: boolean }} data HTML entry data.
+     * @param {string|null} [locale=null] Locale of the variant.
+     * @returns {string} HTML file name.
+     */
+    function getHtmlFileName(absolutePath, { src, dest, named }, locale = null) {
+        let fileName
+        if (named) {
+            // Input key of an object input, or the path of a discovered page
+            fileName = dest.startsWith('/') ? dest.substring(1) : dest // Treat key as relative path/name
+        } else if (config.preserveStructure) {
+            // Ensure it's relative if original was absolute (edge case)
+            fileName = path.isAbsolute(src) ? path.relative(process.cwd(), absolutePath) : src
+        } else {
+            fileName = path.basename(src) // Output to root dir
+        }
+        if (config.cleanUrls) {
+            const { dir, name, ext } = path.parse(fileName)
+            if (/^\.html?$/i.test(ext) && !['index', '404'].includes(name)) fileName = path.join(dir, name, 'index.html')
+        }
+        return locale ? path.join(locale, fileName) : fileName
+    }
+
+    /**
+     * Name the Rollup input of a page's module script, i.e. its `[name]` in `output.entryFileNames`.
+     * Pattern placeholders: `[name]` (script file name without extension, `<page file name>-inline-<index>`
+     * for inline modules), `[page]` (page output path without extension), `[dir]` (page output
+     * directory) and `[index]` (inline module index).
+     * @param {{ page: string, src?: string, index?: number }} entry Page output file (POSIX path),
+     *   and the script `src` or the inline module index.
+     * @returns {string} Entry name, a relative path without `.`/`..` segments.
+     */
+    function getEntryName({ page, src, index }) {
+        const pageName = page.slice(0, page.length - path.posix.extname(page).length)
+        const values = {
+            name: src !== undefined
+                ? path.posix.basename(cleanUrl(src), path.posix.extname(cleanUrl(src)))
+                : `${path.posix.basename(pageName)}-inline-${index}`,
+            page: pageName,
+            dir: path.posix.dirname(page),
+            index: index ?? ''
+        }
+        const name = typeof config.entryName === 'function'
+            ? config.entryName({ page, src, index })
+            : config.entryName.replace(/\[(name|page|dir|index)\]/g, (match, key) => values[key])
+        return String(name)
+            .split('/')
+            .filter(segment => segment && segment !== '.' && segment !== '..')
+            .join('/')
+            .replace(/[^\w.\-/]/g, '_') || 'entry' // Sanitize filename chars
+    }
 
     return {
         name: '@oy3o/rollup-plugin-html',
 
+        /**
+         * Inter-plugin API. Other plugins can register HTML transforms before the
+         * pages are parsed (e.g. in their own `options` hook, listed before this plugin):
+         * `plugins.find(p => p.name === '@oy3o/rollup-plugin-html').api.addTransform(fn)`.
+         */
+        api: {
+            /**
+             * Register an HTML transform (see `transformHtml`). Registering the same function twice is a no-op.
+             * @param {HtmlTransform} transform Transform function.
+             */
+            addTransform(transform) {
+                if (transforms.includes(transform)) return // Hooks may re-run in watch mode
+                transforms.push(transform)
+                if (pagesParsing) lateTransforms++ // Reported in buildStart
+            },
+            findNodes,
+            getTextContent,
+            setTextContent,
+            getAttribute,
+            setAttribute,
+            createElement,
+        },
+
         /**
          * Rollup `options` hook. Normalizes input, processes HTML, extracts JS,
-         * updates Rollup input config.
+         * updates Rollup input config. Rollup calls it again for every watch
+         * rebuild, so HTML changes are picked up once registered in `buildStart`.
          * @param {object} rollupOptions Original options.
-         * @returns {object | null} Modified options or null.
+         * @returns {Promise<object | null>} Modified options or null.
          */
-        options(rollupOptions) {
+        async options(rollupOptions) {
+            if (config.inline && config.legacy) {
+                this.error(createLog('INVALID_OPTION', 'The `inline` and `legacy` options cannot be combined.'))
+            }
+            if (config.preload && typeof config.preload.rel !== 'string') {
+                this.error(createLog('INVALID_OPTION', '`preload.rel` must be a string, e.g. "modulepreload".'))
+            }
+            if (config.integrity && !['sha256', 'sha384', 'sha512'].includes(config.integrity)) {
+                this.error(createLog('INVALID_OPTION', `\`integrity\` must be 'sha256', 'sha384' or 'sha512' (got ${JSON.stringify(config.integrity)}).`))
+            }
+            if (options.compressWhitespace) {
+                this.warn(createLog('DEPRECATED_OPTION', '`compressWhitespace` is deprecated, use `minify: { collapseWhitespace: true }`.'))
+            }
             htmlData = new Map() // Reset state for each build
+            watchFiles = new Set()
+            pagesParsing = true
+            entryPages = new Map()
+            if (config.i18n) {
+                if (!config.i18n.locales?.length) this.error(createLog('INVALID_OPTION', '`i18n.locales` must list at least one locale.'))
+                loadCatalogs(this)
+            }
             const originalInput = rollupOptions.input
             let normalizedInput = {}
-            isWithDest = false
+            let isWithDest = false // Input keys name the output HTML files
 
             // --- 1. Normalize Input to Object Format ---
             if (typeof originalInput === 'string') {
@@ -136,46 +1811,84 @@ export default function RollupPlugin(options = {}) {
                 normalizedInput = { ...originalInput }
                 isWithDest = true
             } else if (originalInput) {
-                console.warn(`[@oy3o/rollup-plugin-html] Unsupported input type: ${typeof originalInput}. Ignored.`)
+                this.warn(createLog('UNSUPPORTED_INPUT', `Unsupported input type: ${typeof originalInput}. Ignored.`))
                 normalizedInput = {}
             } else {
                 normalizedInput = {} // Handle null/undefined
             }
 
             // --- 2. Filter HTML Entries ---
-            const Html = [] // { dest, src }
+            const Html = [] // { dest, src, named }
             const nonHtml = {}
             for (const [dest, src] of Object.entries(normalizedInput)) {
                 if (typeof src === 'string' && filter(src)) {
-                    Html.push({ dest, src })
+                    Html.push({ dest, src, named: isWithDest })
                 } else {
                     // Keep non-HTML entries (JS files, non-string values)
                     nonHtml[dest] = src
                 }
             }
 
+            // --- 2b. Discover Pages (pages option) ---
+            for (const dir of config.pages) {
+                const root = path.resolve(dir)
+                if (!fs.existsSync(root) || !fs.statSync(root).isDirectory()) {
+                    this.error(createLog('MISSING_PAGES_DIR', `Pages directory "${dir}" not found.`))
+                }
+                watchFiles.add(root) // Rebuild when pages are added or removed
+                for (const file of listFiles(root)) {
+                    if (!filter(file) || Html.some(entry => path.resolve(entry.src) === file)) continue // Inputs win
+                    Html.push({
+                        dest: path.relative(root, file).split(path.sep).join('/'),
+                        src: path.relative(process.cwd(), file),
+                        named: true
+                    })
+                }
+            }
+
             if (Html.length === 0) {
                 // No HTML files matched, return original options if other entries exist
                 return Object.keys(nonHtml).length > 0 ? rollupOptions : null
             }
 
             // --- 3. Process HTML Files ---
-            const rollupHtml = new Set() // Stores all JS entry points (absolute paths or virtual IDs)
+            const rollupHtml = new Map() // All JS entry points (absolute paths or virtual IDs) with their first page, src or index
             const processed = new Set() // Track processed absolute HTML paths to avoid duplicates
 
-            Html.forEach(({ dest, src }) => {
+            for (const { dest, src, named } of Html) {
                 const absolutePath = path.resolve(src)
                 if (processed.has(absolutePath)) {
-                    console.warn(`[@oy3o/rollup-plugin-html] HTML file resolved to the same path (${absolutePath}) processed multiple times (Input key: "${dest}", value: "${src}"). Skipping duplicate.`)
-                    return
+                    this.warn(createLog('DUPLICATE_HTML', `HTML file processed multiple times (Input key: "${dest}", value: "${src}"). Skipping duplicate.`, absolutePath))
+                    continue
                 }
                 processed.add(absolutePath)
+                watchFiles.add(absolutePath) // Rebuild when the HTML changes
 
                 try {
-                    const dir = path.dirname(absolutePath)
-                    const html = fs.readFileSync(absolutePath, 'utf-8')
-                    const ast = parse(html, { sourceCodeLocationInfo: true }) // Keep location info for errors
-                    const inlineModules = [] // { virtualId, code, value }
+                    const data = typeof config.data === 'function' ? config.data({ src, dest }) : config.data
+                    let template = readTemplate(this, absolutePath, data)
+                    if (config.templating) template = expandIncludes(this, template, absolutePath, data)
+                    const html = template.text
+                    let ast = parse(html, { sourceCodeLocationInfo: true }) // Keep location info for errors
+                    ast = await runTransforms(ast, {
+                        stage: 'pre', src, dest,
+                        fileName: getHtmlFileName(absolutePath, { src, dest, named }),
+                        outputDir: null, bundle: null
+                    })
+                    const dir = getSourceBaseDir(ast, absolutePath) // Relative URLs resolve against <base href>
+                    const inlineModules = [] // { virtualId, code, value, loc }
+                    const sourceMaps = [] // Source maps of minified <style> blocks (sourcemap option)
+                    const stylesheets = new Set() // Absolute paths of local <link rel="stylesheet">
+                    const assets = new Set() // Absolute paths of local images, icons, media, etc.
+                    const classicScripts = new Set() // Absolute paths of local classic (non-module) scripts
+                    let importMap = null // Normalized <script type="importmap"> (merged if several)
+                    // Diagnostic located in this page (after templating, like the AST), reported in the file it comes from
+                    const pageLog = (code, message, loc) => createMappedLog(code, message, absolutePath, template, loc)
+                    const page = getHtmlFileName(absolutePath, { src, dest, named }).split(path.sep).join('/')
+                    const addEntry = (id, entry) => {
+                        if (!rollupHtml.has(id)) rollupHtml.set(id, { page, ...entry })
+                        entryPages.set(id, (entryPages.get(id) ?? new Set()).add(absolutePath))
+                    }
 
                     // --- 3a. Traverse and Transform AST ---
                     const traverse = (node) => {
@@ -188,42 +1901,106 @@ export default function RollupPlugin(options = {}) {
                         if (node.nodeName === 'style' && config.lightningcss.minify !== false) {
                             const css = getTextContent(node)
                             if (!css) return null // Remove empty style tags
+                            const contentLoc = getContentLocation(node, html)
+                            const loc = config.sourcemap && contentLoc
                             try {
-                                const { code } = lightningTransform({
+                                const { code, map } = lightningTransform({
                                     filename: absolutePath, // For sourcemaps/errors
-                                    code: Buffer.from(css),
-                                    ...config.lightningcss
+                                    code: Buffer.from(loc ? padToLocation(css, loc) : css),
+                                    ...config.lightningcss,
+                                    sourceMap: !!loc
                                 })
-                                setTextContent(node, code.toString())
+                                if (map) {
+                                    // Referenced from generateBundle, once the output location is known
+                                    const value = `__HTML_SOURCEMAP_${sourceMaps.length}__`
+                                    sourceMaps.push({ ...JSON.parse(map), sources: [absolutePath], sourcesContent: [html] })
+                                    setTextContent(node, `${code}\n/*# sourceMappingURL=${value} */`)
+                                } else {
+                                    setTextContent(node, code.toString())
+                                }
                             } catch (e) {
-                                console.error(`[@oy3o/rollup-plugin-html] LightningCSS error in inline style (${src}): ${e}`)
                                 // Keep original style on error
+                                const errorLoc = !e.loc || !contentLoc ? getNodeLocation(node)
+                                    : loc ? { line: e.loc.line, column: e.loc.column - 1 } // Code was padded to its location
+                                        : offsetLocation(contentLoc, e.loc.line, e.loc.column - 1)
+                                warnStrict(this, pageLog('CSS_ERROR', `LightningCSS error in inline style: ${e.message}`, errorLoc))
+                            }
+                        }
+
+                        // Collect local <link rel="stylesheet" href="..."> (bundled in buildStart)
+                        if (isStylesheetLink(node)) {
+                            const href = getAttribute(node, 'href')
+                            if (isLocalUrl(href)) {
+                                const file = path.resolve(dir, cleanUrl(href))
+                                if (fs.existsSync(file)) {
+                                    stylesheets.add(file)
+                                } else {
+                                    warnStrict(this, pageLog('MISSING_STYLESHEET', `Stylesheet "${href}" not found. Keeping original href.`, getNodeLocation(node, 'href')))
+                                }
                             }
+                            return node // Keep node href updated later
+                        }
+
+                        // Collect local asset URLs (img src/srcset, icons, poster, ...)
+                        if (config.assets) {
+                            visitAssetUrls(node, config.assets.attributes, (url, name) => {
+                                const file = path.resolve(dir, cleanUrl(url))
+                                if (!fs.existsSync(file)) {
+                                    warnStrict(this, pageLog('MISSING_ASSET', `Asset "${url}" not found. Keeping original URL.`, getNodeLocation(node, name)))
+                                } else if (assetFilter(file)) {
+                                    assets.add(file)
+                                }
+                            })
                         }
 
                         // Process <script> tags
                         if (node.nodeName === 'script') {
                             const type = node.attrs?.find(attr => attr.name === 'type')?.value
-                            const src = node.attrs?.find(attr => attr.name === 'src')?.value
+                            const scriptSrc = node.attrs?.find(attr => attr.name === 'src')?.value
                             const isModule = type === 'module'
 
-                            // External <script src="..."> (local files only)
-                            if (src && !src.value.includes('://')) {
-                                rollupHtml.add(path.resolve(dir, src.value))
+                            // Import maps: resolve bare specifiers in resolveId
+                            if (type === 'importmap' && !scriptSrc && config.importMap) {
+                                try {
+                                    const map = normalizeImportMap(JSON.parse(getTextContent(node)), dir)
+                                    importMap = !importMap ? map : { // Earlier maps win, like in browsers
+                                        imports: { ...map.imports, ...importMap.imports },
+                                        scopes: { ...map.scopes, ...importMap.scopes }
+                                    }
+                                } catch (e) {
+                                    this.warn(pageLog('INVALID_IMPORT_MAP', `Invalid import map: ${e.message}. Ignored.`, getNodeLocation(node)))
+                                }
+                                return node
+                            }
+
+                            // External <script type="module" src="..."> (local files only)
+                            if (isModule && scriptSrc && !scriptSrc.includes('://')) {
+                                addEntry(path.resolve(dir, scriptSrc), { src: scriptSrc })
+                                return node // Keep node path updated later
+                            }
+
+                            // Classic <script src="..."> (local files only): IIFE bundle or hashed copy
+                            if (scriptSrc && config.classicScripts && isExecutableScript(node) && isLocalUrl(scriptSrc)) {
+                                const file = path.resolve(dir, cleanUrl(scriptSrc))
+                                if (!fs.existsSync(file)) {
+                                    warnStrict(this, pageLog('MISSING_SCRIPT', `Script "${scriptSrc}" not found. Keeping original src.`, getNodeLocation(node, 'src')))
+                                } else if (classicExcludeFilter(file)) {
+                                    classicScripts.add(file)
+                                }
                                 return node // Keep node path updated later
                             }
 
                             // Other scripts (inline non-module, external non-module, external module URL)
                             const code = getTextContent(node)
-                            if (!src && !code.trim()) return null // Remove empty inline non-module
+                            if (!scriptSrc && !code.trim()) return null // Remove empty inline non-module
 
                             // Inline <script type="module">
-                            if (isModule && !src) {
+                            if (isModule && !scriptSrc) {
                                 // Create virtual module
-                                const virtualId = `${INLINE_MODULE_PREFIX}${src}?index=${inlineModules.length}`
-                                rollupHtml.add(virtualId)
+                                const virtualId = `${absolutePath}${INLINE_MODULE_QUERY}${inlineModules.length}`
+                                addEntry(virtualId, { index: inlineModules.length })
                                 const value = `__HTML_MODULE_PLACEHOLDER_${virtualId}__`
-                                inlineModules.push({ virtualId, code, value })
+                                inlineModules.push({ virtualId, code, value, loc: getContentLocation(node, html) })
                                 // Replace with placeholder comment
                                 return { nodeName: '#comment', value, parentNode: node.parentNode }
                             }
@@ -231,24 +2008,6 @@ export default function RollupPlugin(options = {}) {
                             return node // Keep node non-modules processed later
                         }
 
-                        // Compress whitespace in text nodes (basic implementation)
-                        if (node.nodeName === '#text' && config.compressWhitespace) {
-                            const parent = node.parentNode
-                            // Avoid compressing inside sensitive tags
-                            if (parent && !['pre', 'textarea', 'script', 'style'].includes(parent.nodeName)) {
-                                let compressed = node.value.replace(/\s+/g, ' ')
-                                // Trim whitespace potentially adjacent to block elements
-                                if (parent.childNodes.length > 1) {
-                                    if (parent.childNodes[0] === node) compressed = compressed.trimStart()
-                                    if (parent.childNodes[parent.childNodes.length - 1] === node) compressed = compressed.trimEnd()
-                                } else {
-                                    compressed = compressed.trim() // Trim if it's the only child
-                                }
-                                if (!compressed) return null // Remove node if whitespace collapsed to nothing
-                                node.value = compressed
-                            }
-                        }
-
                         // Recurse through children, filtering out nulls (removed nodes)
                         if (node.childNodes) {
                             node.childNodes = node.childNodes.map(child => traverse(child)).filter(Boolean)
@@ -266,53 +2025,54 @@ export default function RollupPlugin(options = {}) {
                     // Start traversal from the root
                     const traversed = traverse(ast)
                     if (!traversed || !traversed.childNodes || traversed.childNodes.length === 0) {
-                        console.warn(`[@oy3o/rollup-plugin-html] Document became empty after processing ${src}.`)
-                        return // Skip storing data for empty AST
+                        this.warn(createLog('EMPTY_DOCUMENT', 'Document became empty after processing. Skipping.', absolutePath))
+                        continue // Skip storing data for empty AST
                     }
 
                     // --- 3b. Store Processed Data ---
                     htmlData.set(absolutePath, {
                         src,                // Original input value (e.g., 'src/index.html')
                         dest,               // Original input key (e.g., 'index.html')
+                        named,              // Whether `dest` names the output file
                         ast: traversed,     // Modified AST
+                        html,               // HTML source of the AST (after templating), for source maps
+                        template,           // `html` with the files its ranges come from, for diagnostics
+                        dir,                // Directory local references resolve against
                         inlineModules,
+                        sourceMaps,
+                        stylesheets: [...stylesheets],
+                        assets: [...assets],
+                        classicScripts: [...classicScripts],
+                        importMap,
                     })
 
                 } catch (e) {
+                    if (e.code === 'PLUGIN_ERROR') throw e // Already reported with its location
                     // Catch errors during file reading or parsing
-                    this.error(`Error processing HTML file ${src}: ${e}`)
+                    this.error(createLog('HTML_ERROR', `Error processing HTML file: ${e}`, absolutePath))
                 }
-            }) // end forEach htmlEntry
+            } // end for htmlEntry
 
             // --- 4. Build Final Rollup Input Config ---
             const rollups = { ...nonHtml } // Start with non-HTML entries
-            rollupHtml.forEach(entry => {
-                // Generate a unique but somewhat readable key for Rollup's input object
-                const hash = crypto.createHash('sha256').update(entry).digest('base64url').replace(/[^a-zA-Z0-9]/g, '').slice(0, 20)
-                let keyBase = path.basename(entry.startsWith(INLINE_MODULE_PREFIX)
-                    ? entry.split(':')[1].split('?')[0] // Inline: use html file name
-                    : entry) // External: use js file name
-                keyBase = keyBase.replace(/[^a-zA-Z0-9_.-]/g, '_') // Sanitize filename chars
-                const key = `${keyBase}_${hash}`
-
-                // Handle unlikely hash collision with a fallback
-                if (rollups.hasOwnProperty(key)) {
-                    console.warn(`[@oy3o/rollup-plugin-html] Input key collision: "${key}". Using fallback.`)
-                    rollups[`${key}_${Date.now()}`] = entry
-                } else {
-                    rollups[key] = entry
-                }
-            })
+            for (const [entry, info] of rollupHtml) {
+                // Readable key for Rollup's input object (the chunk's [name])
+                const name = getEntryName(info)
+                // Same name for different entries (or a non-HTML input): number them in input order
+                let key = name
+                for (let n = 2; Object.hasOwn(rollups, key); n++) key = `${name}-${n}`
+                rollups[key] = entry
+            }
 
             // Handle case: HTML files processed, but no JS modules found, and no other inputs
             if (Object.keys(rollups).length === 0 && Html.length > 0) {
-                console.warn('[@oy3o/rollup-plugin-html] No JS modules found in HTML and no other inputs. Adding NOOP entry.')
+                this.warn(createLog('NO_MODULES', 'No JS modules found in HTML and no other inputs. Adding NOOP entry.'))
                 rollups['_html_noop_entry'] = NOOP_IMPORT_ID // Add virtual entry to prevent Rollup error
             }
 
             // If still no inputs, warn and return empty input object
             if (Object.keys(rollups).length === 0) {
-                console.warn('[@oy3o/rollup-plugin-html] No valid inputs after processing.')
+                this.warn(createLog('NO_INPUTS', 'No valid inputs after processing.'))
                 return { ...rollupOptions, input: {} }
             }
 
@@ -322,34 +2082,167 @@ export default function RollupPlugin(options = {}) {
         },
 
         /**
-         * Rollup `resolveId` hook. Handles the plugin's virtual module IDs.
+         * Rollup `outputOptions` hook. Forces `inlineDynamicImports` for single-file
+         * output when requested.
+         * @param {object} outputOptions Output options.
+         * @returns {object | null} Modified output options or null.
+         */
+        outputOptions(outputOptions) {
+            if (config.inline?.inlineDynamicImports) {
+                return { ...outputOptions, inlineDynamicImports: true }
+            }
+            return null
+        },
+
+        /**
+         * Rollup `buildStart` hook. Registers HTML files as watch files, emits
+         * the static assets referenced by the HTML entries and bundles their
+         * local stylesheets.
+         */
+        async buildStart() {
+            if (lateTransforms > 0) {
+                this.warn(createLog('LATE_TRANSFORM', `${lateTransforms} HTML transform(s) were registered after the pages were parsed, ` +
+                    'so their `pre` stage was skipped in this build. List the registering plugin before this one.'))
+            }
+            pagesParsing = false
+            lateTransforms = 0
+            cssData = new Map()
+            emittedAssets = new Map()
+            emittedScripts = new Map()
+            scriptMaps = new Map()
+            pairedOutputs = {}
+            const importMaps = new Set([...htmlData.values()].filter(data => data.importMap).map(data => JSON.stringify(data.importMap)))
+            modulePages = importMaps.size > 1 ? new Map([...entryPages].map(([id, pages]) => [id, new Set(pages)])) : null
+            systemjsLoader = null
+            serviceWorkerCode = null
+            for (const file of watchFiles) {
+                this.addWatchFile(file)
+            }
+            if (config.serviceWorker?.src) {
+                const file = path.resolve(config.serviceWorker.src)
+                try {
+                    serviceWorkerCode = (await buildIife(this, file, config.serviceWorker.plugins)).code
+                } catch (e) {
+                    this.error(createLog('SERVICE_WORKER_ERROR', `Error building service worker: ${e.message}`, file))
+                }
+            }
+            if (config.legacy && config.legacy.systemjs) {
+                const loader = config.legacy.systemjs
+                if (typeof loader === 'string' && !isLocalUrl(loader)) {
+                    systemjsLoader = { url: loader } // Remote URL (e.g. CDN)
+                } else {
+                    try {
+                        const file = loader === true
+                            ? createRequire(path.resolve('package.json')).resolve('systemjs/dist/s.min.js')
+                            : path.resolve(loader)
+                        systemjsLoader = emitAsset(this, file)
+                    } catch (e) {
+                        this.error(createLog('MISSING_SYSTEMJS', `Could not find SystemJS loader ${loader === true ? '(install "systemjs")' : loader}: ${e.message}`))
+                    }
+                }
+            }
+            const mappedChunks = new Set()
+            for (const [absolutePath, data] of htmlData.entries()) {
+                for (const file of data.assets) {
+                    emitAsset(this, file)
+                }
+                // importMap.update: mapped local modules get their own chunk to point the map at
+                for (const [key, address] of Object.entries(data.importMap?.imports ?? {})) {
+                    if (!config.importMap.update || key.endsWith('/') || !address.file || mappedChunks.has(address.file)) continue
+                    mappedChunks.add(address.file)
+                    if (!fs.existsSync(address.file)) {
+                        warnStrict(this, createLog('MISSING_IMPORT_MAP_ADDRESS',
+                            `Import map address for "${key}" not found: ${path.relative(process.cwd(), address.file)}.`, absolutePath))
+                        continue
+                    }
+                    this.emitFile({ type: 'chunk', id: address.file, preserveSignature: 'strict' })
+                }
+                for (const file of data.classicScripts) {
+                    if (emittedScripts.has(file)) continue
+                    try {
+                        emittedScripts.set(file, await emitClassicScript(this, file))
+                    } catch (e) {
+                        this.error(createLog('CLASSIC_SCRIPT_ERROR', `Error processing classic script: ${e.message}`, file))
+                    }
+                }
+                for (const file of data.stylesheets) {
+                    if (cssData.has(file)) continue
+                    try {
+                        cssData.set(file, await bundleStylesheet(this, file))
+                    } catch (e) {
+                        // Keep the original href (not in cssData) unless strict
+                        const id = e.fileName || file // May be an @import-ed file
+                        const loc = e.loc && { line: e.loc.line, column: e.loc.column - 1 }
+                        warnStrict(this, createLog('CSS_ERROR', `LightningCSS error in stylesheet: ${e.message}`,
+                            id, loc && fs.readFileSync(id, 'utf-8'), loc))
+                    }
+                }
+            }
+        },
+
+        /**
+         * Rollup `resolveId` hook. Handles the plugin's virtual module IDs, and bare
+         * specifiers mapped by the pages' import maps: URL mappings stay external
+         * (resolved by the browser), local mappings are bundled.
          * @param {string} id Module ID to resolve.
-         * @returns {string | null} Resolved ID or null to delegate.
+         * @param {string} [importer] Importing module ID.
+         * @param {object} [resolveOptions] Rollup resolve options.
+         * @returns {Promise<string | object | null>} Resolved ID or null to delegate.
          */
-        resolveId(id) {
-            if (id === NOOP_IMPORT_ID || id.startsWith(INLINE_MODULE_PREFIX)) {
+        async resolveId(id, importer, resolveOptions) {
+            if (id === NOOP_IMPORT_ID || id.includes(INLINE_MODULE_QUERY)) {
                 return id // It's one of ours
             }
-            return null // Let Rollup handle others
+            if (!config.importMap || !importer) return null // Let Rollup handle others
+
+            let resolved = null
+            if (isBareSpecifier(id)) {
+                const mapped = resolveImportSpecifier(this, id, importer)
+                if (mapped?.url) {
+                    // Top-level mappings keep the bare specifier for the page's import map;
+                    // scoped ones would not match the bundled importer's URL, so use the address
+                    return { id: mapped.scoped ? mapped.url : id, external: true }
+                }
+                if (mapped?.file) {
+                    resolved = await this.resolve(mapped.file, importer, { skipSelf: true })
+                    if (!resolved) {
+                        warnStrict(this, createLog('MISSING_IMPORT_MAP_ADDRESS',
+                            `Import map address for "${id}" not found: ${path.relative(process.cwd(), mapped.file)}.`, importer))
+                    }
+                }
+            }
+            if (modulePages) {
+                // The pages' import maps differ: record which pages reach each module
+                resolved ??= await this.resolve(id, importer, { ...resolveOptions, skipSelf: true })
+                if (resolved && !resolved.external) {
+                    const pages = modulePages.get(resolved.id) ?? new Set()
+                    modulePages.get(importer)?.forEach(page => pages.add(page))
+                    modulePages.set(resolved.id, pages)
+                }
+            }
+            return resolved
         },
 
         /**
-         * Rollup `load` hook. Provides content for virtual modules.
+         * Rollup `load` hook. Provides content for virtual modules. Inline modules
+         * come with a source map pointing to their location in the HTML file.
          * @param {string} id Module ID to load.
-         * @returns {string | null} Module content or null.
+         * @returns {string | { code: string, map: object } | null} Module content or null.
          */
         load(id) {
             if (id === NOOP_IMPORT_ID) {
                 return '/* Rollup Plugin HTML: NOOP */' // Minimal content for NOOP
             }
-            if (id.startsWith(INLINE_MODULE_PREFIX)) {
+            if (id.includes(INLINE_MODULE_QUERY)) {
                 // Find the corresponding inline module code stored in htmlData
-                for (const data of htmlData.values()) {
+                for (const [absolutePath, data] of htmlData.entries()) {
                     const foundModule = data.inlineModules.find(m => m.virtualId === id)
-                    if (foundModule) return foundModule.code
+                    if (!foundModule) continue
+                    const { code, loc } = foundModule
+                    return loc ? { code, map: createSnippetMap(code, loc, absolutePath, data.html) } : code
                 }
                 // Should not happen if resolveId worked correctly
-                this.error(`Internal error: Could not load virtual module ${id}`)
+                this.error(createLog('INTERNAL_ERROR', `Could not load virtual module ${id}`))
                 return null
             }
             return null // Let Rollup handle others
@@ -364,43 +2257,242 @@ export default function RollupPlugin(options = {}) {
         async generateBundle(outputOptions, bundle) {
             const outputDir = outputOptions.dir || (outputOptions.file ? path.dirname(outputOptions.file) : null)
             if (!outputDir) {
-                this.error('Cannot determine output directory. Set `output.dir`.')
+                this.error(createLog('MISSING_OUTPUT_DIR', 'Cannot determine output directory. Set `output.dir`.'))
                 return
             }
 
+            /**
+             * Reference a source map from a file in this output: emitted as a `.map`
+             * asset (`sourcemap: true`) or embedded as a data URI (`'inline'`).
+             * @param {object} map Source map with absolute `sources`.
+             * @param {string} fileName File containing the code (relative to the output dir).
+             * @param {string} mapFileName Map file name, when emitted (relative to the output dir).
+             * @param {string} [urlDir] Directory relative URLs in the file resolve against (`<base href>`).
+             * @returns {string} URL for the `sourceMappingURL` comment.
+             */
+            const sourceMapUrl = (map, fileName, mapFileName, urlDir = path.dirname(fileName)) => {
+                // Sources resolve against the map file, or the referencing file for data URIs
+                const baseDir = config.sourcemap === 'inline' ? urlDir : path.dirname(mapFileName)
+                const sources = map.sources.map(source => toRelativeUrl(baseDir, path.relative(outputDir, source)))
+                const source = JSON.stringify({ ...map, file: path.basename(fileName), sources })
+                if (config.sourcemap === 'inline') return toDataUri('map.json', source)
+                this.emitFile({ type: 'asset', fileName: mapFileName, source })
+                return toRelativeUrl(urlDir, mapFileName)
+            }
+
+            // --- Source maps of IIFE classic scripts (inline mode: referenced from the pages) ---
+            for (const [referenceId, map] of scriptMaps) {
+                const fileName = this.getFileName(referenceId)
+                if (!bundle[fileName] || config.inline) continue
+                const url = sourceMapUrl(map, fileName, `${fileName}.map`)
+                bundle[fileName].source = `${bundle[fileName].source}\n//# sourceMappingURL=${url}\n`
+            }
+
+            // --- Differential loading: pair the module output with the legacy output ---
+            let moduleOutput = { dir: outputDir, format: outputOptions.format, bundle }
+            let legacyOutput = null
+            if (config.legacy) {
+                const kind = config.legacy.formats.includes(outputOptions.format) ? 'legacy' : 'module'
+                if (pairedOutputs[kind]) {
+                    this.error(createLog('UNPAIRED_OUTPUT',
+                        `\`legacy\` needs one module output and one legacy output (${config.legacy.formats.join(', ')}) per build, got two ${kind} outputs.`))
+                }
+                pairedOutputs[kind] = moduleOutput
+                if (!pairedOutputs.module || !pairedOutputs.legacy) return // HTML is emitted by the second output
+                if (path.resolve(pairedOutputs.module.dir) !== path.resolve(pairedOutputs.legacy.dir)) {
+                    // The HTML goes to whichever output finishes second, so its location would depend on timing
+                    this.error(createLog('INVALID_OPTION', '`legacy` needs the module and legacy outputs in the same `dir` ' +
+                        `(got "${pairedOutputs.module.dir}" and "${pairedOutputs.legacy.dir}"); use \`entryFileNames\`/\`chunkFileNames\` to separate them.`))
+                }
+                moduleOutput = pairedOutputs.module
+                legacyOutput = pairedOutputs.legacy
+                pairedOutputs = {} // Pair again on the next generate/write
+            }
+            // Path of a file from another output, relative to this output's dir
+            const fromOutput = (output, fileName) => path.relative(outputDir, path.resolve(output.dir, fileName))
+
             const emitted = new Set() // Track emitted HTML filenames to detect collisions
+            const policies = new Map() // Content-Security-Policy per HTML fileName (json/headers output)
+            const manifest = {} // HTML entry dependencies (manifest option)
+            // POSIX path of a file from another output, relative to this output's dir (manifest paths)
+            const manifestPath = (output, fileName) => fromOutput(output, fileName).split(path.sep).join('/')
 
-            for (const [absolutePath, data] of htmlData.entries()) {
-                const { src, dest, ast, inlineModules } = data
-                const dir = path.dirname(absolutePath) // Original HTML directory
+            /**
+             * Add `integrity` (and `crossorigin`) to a tag referencing a bundle file.
+             * Digests are computed from the final code, after other plugins' `renderChunk`.
+             * @param {object} node Script or link node.
+             * @param {object} [file] Referenced output chunk or asset.
+             */
+            const addIntegrity = (node, file) => {
+                if (!config.integrity || !file) return
+                const content = file.type === 'chunk' ? file.code : file.source
+                const digest = crypto.createHash(config.integrity).update(content).digest('base64')
+                setAttribute(node, 'integrity', `${config.integrity}-${digest}`)
+                if (config.crossorigin !== false) setAttribute(node, 'crossorigin', config.crossorigin)
+            }
+            const stylesheetFiles = new Map() // Emitted stylesheet fileNames (key: absolute source path)
+            const inlinedFiles = new Set() // Bundle files inlined into HTML (inline mode), removed at the end
+
+            /**
+             * Inline a bundle file as a data URI (inline mode).
+             * @param {string} fileName File relative to the output dir.
+             * @returns {string} Data URI.
+             */
+            const inlineFile = (fileName) => {
+                const file = bundle[fileName]
+                inlinedFiles.add(fileName)
+                return toDataUri(fileName, file.type === 'chunk' ? file.code : file.source)
+            }
+
+            /**
+             * Get the code of a page's entry chunk for an inline `<script type="module">` (inline mode).
+             * Fails when the chunk depends on other chunks, as those cannot be inlined
+             * (external imports stay as they are).
+             * @param {object} chunk Output chunk.
+             * @param {string} file Absolute HTML path (for errors).
+             * @returns {string} Chunk code, safe to embed in `<script>`.
+             */
+            const inlineChunk = (chunk, file) => {
+                const dependencies = [...chunk.imports, ...chunk.dynamicImports].filter(fileName => bundle[fileName]?.type === 'chunk')
+                if (dependencies.length > 0) {
+                    this.error(createLog('CANNOT_INLINE', `Cannot inline "${chunk.fileName}": it imports other chunks (${dependencies.join(', ')}). ` +
+                        'Single-file output needs one self-contained chunk per page: avoid code splitting (one entry per build), ' +
+                        'or set `inline: { inlineDynamicImports: true }` for dynamic imports.', file))
+                }
+                inlinedFiles.add(chunk.fileName)
+                return chunk.code.replace(/<\/script/gi, '<\\/script')
+            }
+
+            /**
+             * Emit a bundled stylesheet (once per output) and resolve its `url()`
+             * placeholders relative to its final location.
+             * @param {string} file Absolute stylesheet path.
+             * @returns {string} Stylesheet fileName relative to the output dir.
+             */
+            const emitStylesheet = (file) => {
+                if (stylesheetFiles.has(file)) return stylesheetFiles.get(file)
+                const { code, urls } = cssData.get(file)
+                // Hash over output-root paths so the name changes with the referenced assets
+                const resolveUrls = (toUrl) => urls.reduce(
+                    (css, { placeholder, referenceId, suffix }) => css.split(placeholder).join(toUrl(this.getFileName(referenceId)) + suffix),
+                    code
+                )
+                const referenceId = this.emitFile({
+                    type: 'asset',
+                    name: path.basename(file),
+                    source: resolveUrls(assetFile => assetFile)
+                })
+                const fileName = this.getFileName(referenceId)
+                if (urls.length > 0 && bundle[fileName]) {
+                    bundle[fileName].source = resolveUrls(assetFile => toRelativeUrl(path.dirname(fileName), assetFile))
+                }
+                stylesheetFiles.set(file, fileName)
+                return fileName
+            }
+
+            // One variant of each page per locale (i18n), all referencing the same chunks
+            const variants = [...htmlData.entries()].flatMap(([absolutePath, data]) =>
+                (config.i18n ? config.i18n.locales : [null]).map(locale => [absolutePath, data, locale]))
+
+            for (const [absolutePath, data, locale] of variants) {
+                const { src, inlineModules } = data
+                let ast = cloneNode(data.ast) // Each output gets its own copy
+                const { dir } = data // Directory local references resolve against (source side)
+                const Html = getHtmlFileName(absolutePath, data, locale) // Final HTML path relative to outputDir
+                const htmlDir = path.dirname(Html) // Directory containing the final HTML
+                const urlBaseDir = getUrlBaseDir(ast, htmlDir) // Directory relative URLs resolve against
+                // Diagnostic located in this page (nodes added after parsing have no location)
+                const pageLog = (code, message, loc) => createMappedLog(code, message, absolutePath, data.template, loc)
+
+                /**
+                 * URL of an output file as referenced from this page: prefixed with the
+                 * `base` option, or relative to the page (respecting `<base href>`).
+                 * @param {string} fileName File relative to the output dir.
+                 * @returns {string} URL.
+                 */
+                const toUrl = (fileName) => {
+                    const assetFile = fileName.split(path.sep).join('/')
+                    if (typeof config.base === 'function') return config.base({ htmlFile: Html.split(path.sep).join('/'), assetFile })
+                    if (config.base) return config.base + assetFile
+                    return toRelativeUrl(urlBaseDir, fileName)
+                }
+
+                /**
+                 * URL of a page of this build as linked from this page: relative to the page
+                 * (pages are not served from a `base` CDN) or on `origin`, without `index.html`
+                 * with `cleanUrls`.
+                 * @param {string} fileName HTML file relative to the output dir.
+                 * @param {string} [origin] Site URL for an absolute URL.
+                 * @returns {string} URL.
+                 */
+                const toPageUrl = (fileName, origin) => {
+                    const url = origin
+                        ? `${origin.replace(/\/$/, '')}/${fileName.split(path.sep).join('/')}`
+                        : toRelativeUrl(urlBaseDir, fileName)
+                    return config.cleanUrls ? url.replace(/(^|\/)index\.html$/, '$1') : url
+                }
+
+                // --- Localize the page variant (i18n) with alternate links to the other variants ---
+                if (locale) {
+                    localizePage(this, ast, locale, absolutePath, data.template)
+                    const head = findNodes(ast, node => node.nodeName === 'head')[0]
+                    const alternates = [...config.i18n.locales, 'x-default']
+                    for (const hreflang of head ? alternates : []) {
+                        const fileName = getHtmlFileName(absolutePath, data, hreflang === 'x-default' ? config.i18n.defaultLocale : hreflang)
+                        head.childNodes.push(createElement('link', {
+                            rel: 'alternate', hreflang, href: toPageUrl(fileName, config.i18n.origin)
+                        }, head))
+                    }
+                }
 
                 // --- Minify inline non-module scripts with Terser ---
                 if (config.terser && config.terser.compress !== false) {
-                    // Find scripts that are inline and NOT type="module"
+                    // Find scripts that are inline classic JavaScript (not modules, import maps or data blocks)
                     const inlineScripts = findNodes(ast, node =>
                         node.nodeName === 'script' &&
                         !node.attrs?.find(a => a.name === 'src')?.value && // No src attribute
-                        node.attrs?.find(a => a.name === 'type')?.value !== 'module' // Not a module
+                        isExecutableScript(node) &&
+                        !['module', 'importmap'].includes(getAttribute(node, 'type')?.trim().toLowerCase())
                     )
 
-                    for (const scriptNode of inlineScripts) {
+                    for (const [index, scriptNode] of inlineScripts.entries()) {
                         const originalCode = getTextContent(scriptNode)
                         if (originalCode.trim()) { // Only process non-empty scripts
+                            const contentLoc = getContentLocation(scriptNode, data.html)
+                            const loc = config.sourcemap && contentLoc
                             try {
-                                const result = await terserMinify(originalCode, config.terser)
-                                if (result.code !== undefined) {
+                                const result = loc
+                                    ? await terserMinify(padToLocation(originalCode, loc), { ...config.terser, sourceMap: { asObject: true } })
+                                    : await terserMinify(originalCode, config.terser)
+                                if (result.code !== undefined && result.map) {
+                                    const map = { ...result.map, sources: [absolutePath], sourcesContent: [data.html] }
+                                    const url = sourceMapUrl(map, Html, `${Html}.script-${index}.map`, urlBaseDir)
+                                    setTextContent(scriptNode, `${result.code}\n//# sourceMappingURL=${url}`)
+                                } else if (result.code !== undefined) {
                                     setTextContent(scriptNode, result.code)
                                 } else {
-                                    this.warn(`Terser returned undefined code for inline script in ${src}`)
+                                    this.warn(pageLog('MINIFY_ERROR', 'Terser returned undefined code for inline script.', getNodeLocation(scriptNode)))
                                 }
                             } catch (error) {
                                 // Warn on error but keep original code
-                                this.warn(`Terser failed for inline script in ${src}: ${error}. Keeping original.`)
+                                const errorLoc = !error.line || !contentLoc ? getNodeLocation(scriptNode)
+                                    : loc ? { line: error.line, column: error.col } // Code was padded to its location
+                                        : offsetLocation(contentLoc, error.line, error.col)
+                                this.warn(pageLog('MINIFY_ERROR', `Terser failed for inline script: ${error.message}. Keeping original.`, errorLoc))
                             }
                         }
                     }
                 }
 
+                // --- Reference the source maps of minified <style> blocks ---
+                for (const styleNode of findNodes(ast, node => node.nodeName === 'style')) {
+                    const css = getTextContent(styleNode)
+                    const match = css.match(/__HTML_SOURCEMAP_(\d+)__/)
+                    if (!match) continue
+                    const url = sourceMapUrl(data.sourceMaps[match[1]], Html, `${Html}.style-${match[1]}.map`, urlBaseDir)
+                    setTextContent(styleNode, css.replace(match[0], url))
+                }
+
                 // --- Find placeholder comments and original local module script tags ---
                 const nodesToReplace = findNodes(ast, node =>
                     // Is it a placeholder comment we added?
@@ -414,18 +2506,24 @@ export default function RollupPlugin(options = {}) {
                 )
 
                 // --- Replace placeholders/scripts with final bundle references ---
+                const entryChunks = [] // fileNames of the chunks referenced by this page
+                const legacyNodes = [] // nomodule / systemjs-module scripts of the legacy output
+                const legacyChunks = [] // fileNames of the legacy output's entry chunks
                 for (const node of nodesToReplace) {
                     let moduleId = null // The ID Rollup uses for this entry (virtual ID or absolute path)
                     let desc = '' // Description for logging
+                    let nodeLoc = getNodeLocation(node, 'src') // Location for logging
 
                     // Determine the module ID based on the node type
                     if (node.nodeName === '#comment') { // Placeholder for inline module
-                        const match = node.value.match(/__HTML_MODULE_PLACEHOLDER_(\0oy3o-rollup-plugin-html-inline:[^?]+\?index=\d+)__/)
+                        const match = node.value.match(/__HTML_MODULE_PLACEHOLDER_(.+\?oy3o-rollup-plugin-html-inline&index=\d+)__/)
                         if (match && match[1]) {
                             moduleId = match[1]
                             desc = `inline module (index ${match[1].split('index=')[1]})`
+                            const contentLoc = inlineModules.find(m => m.virtualId === moduleId)?.loc
+                            if (contentLoc) nodeLoc = offsetLocation(contentLoc, 1, 0)
                         } else {
-                            this.warn(`Could not parse virtual ID from placeholder in ${src}: ${node.value}`)
+                            this.warn(createLog('INTERNAL_ERROR', `Could not parse virtual ID from placeholder: ${node.value}`, absolutePath))
                         }
                     } else { // Original <script type="module" src="...">
                         const src = node.attrs.find(a => a.name === 'src').value
@@ -435,53 +2533,25 @@ export default function RollupPlugin(options = {}) {
 
                     // Find the corresponding output chunk in the Rollup bundle
                     let chunkName = null
+                    let chunk = null
                     if (moduleId) {
-                        const chunk = Object.values(bundle).find(c =>
-                            c.type === 'chunk' && // Must be a JS chunk
-                            // Check if this chunk's entry point matches our module ID
-                            (c.facadeModuleId === moduleId ||
-                                // Fallback: Check if our module ID is part of this chunk's modules
-                                (c.modules && c.modules[moduleId]))
-                        )
+                        chunk = findEntryChunk(moduleOutput.bundle, moduleId)
                         if (chunk) {
                             chunkName = chunk.fileName // e.g., 'assets/index-a1b2c3d4.js'
+                            entryChunks.push(chunkName)
                         } else {
                             // This might happen if the script was empty or treeshaken away entirely
-                            this.warn(`Could not find output chunk for ${desc} (ID: ${moduleId}) referenced in ${src}.`)
+                            warnStrict(this, pageLog('MISSING_CHUNK', `Could not find output chunk for ${desc} (ID: ${moduleId}). Removing the script.`, nodeLoc))
                         }
                     }
 
                     // If chunk found, replace the AST node
                     if (chunkName) {
-                        // --- Calculate paths for the new script tag ---
-                        let relativePath // Final HTML path relative to outputDir
-                        // Use input key if input was object and key differs from value, else use basename
-                        if (isWithDest) {
-                            relativePath = dest.startsWith('/') ? dest.substring(1) : dest // Treat key as relative path/name
-                        } else if (config.preserveStructure) {
-                            // Determine the output path based on config and input format
-                            relativePath = src
-                            // Ensure it's relative if original was absolute (edge case)
-                            if (path.isAbsolute(relativePath)) {
-                                relativePath = path.relative(process.cwd(), absolutePath)
-                            }
-                        } else {
-                            relativePath = path.basename(src) // Output to root dir
-                        }
-                        const outputPath = path.resolve(outputDir, relativePath) // Absolute path where HTML will be written
-                        const htmlDir = path.dirname(outputPath) // Directory containing the final HTML
-                        const chunkPath = path.resolve(outputDir, chunkName) // Absolute path to the JS chunk
-
                         // Calculate relative path from HTML's location to JS chunk
-                        let chunkRelPath = path.relative(htmlDir, chunkPath)
-                            .split(path.sep).join('/') // Ensure POSIX separators ('/')
-                        // Prepend './' if path doesn't start with '.' or '/' (needed for HTML src)
-                        if (!chunkRelPath.startsWith('.') && !chunkRelPath.startsWith('/')) {
-                            chunkRelPath = './' + chunkRelPath
-                        }
+                        const chunkRelPath = toUrl(fromOutput(moduleOutput, chunkName))
 
                         // Create the new <script> node to insert
-                        const newScriptNode = {
+                        const newScriptNode = config.inline ? createElement('script', { type: 'module' }, node.parentNode) : {
                             nodeName: 'script', tagName: 'script',
                             attrs: [
                                 { name: 'type', value: 'module' },
@@ -491,23 +2561,49 @@ export default function RollupPlugin(options = {}) {
                             namespaceURI: node.namespaceURI || 'http://www.w3.org/1999/xhtml', // Keep namespace
                             parentNode: node.parentNode // Will be updated by splice
                         }
+                        if (config.inline) {
+                            newScriptNode.childNodes.push({ nodeName: '#text', value: inlineChunk(chunk, absolutePath), parentNode: newScriptNode })
+                        } else {
+                            addIntegrity(newScriptNode, chunk)
+                        }
+
+                        // Add the legacy output's entry after the module script
+                        const replacements = [newScriptNode]
+                        if (legacyOutput) {
+                            const legacyChunk = findEntryChunk(legacyOutput.bundle, moduleId)
+                            if (legacyChunk) {
+                                const legacySrc = toUrl(fromOutput(legacyOutput, legacyChunk.fileName))
+                                let legacyNode
+                                if (legacyOutput.format === 'system') {
+                                    // Loaded by the (nomodule) SystemJS loader, ignored by modern browsers
+                                    legacyNode = createElement('script', { type: 'systemjs-module', src: legacySrc })
+                                } else {
+                                    legacyNode = createElement('script', { nomodule: '', defer: '', src: legacySrc })
+                                    addIntegrity(legacyNode, legacyChunk)
+                                }
+                                replacements.push(legacyNode)
+                                legacyNodes.push(legacyNode)
+                                legacyChunks.push(legacyChunk.fileName)
+                            } else {
+                                warnStrict(this, pageLog('MISSING_CHUNK', `Could not find legacy output chunk for ${desc} (ID: ${moduleId}).`, nodeLoc))
+                            }
+                        }
 
                         // Replace the old node (placeholder or original script) with the new one
                         const parent = node.parentNode
                         if (parent?.childNodes) {
                             const index = parent.childNodes.findIndex(child => child === node)
                             if (index !== -1) {
-                                parent.childNodes.splice(index, 1, newScriptNode)
-                                newScriptNode.parentNode = parent // Ensure parent ref is correct on new node
+                                parent.childNodes.splice(index, 1, ...replacements)
+                                replacements.forEach(replacement => { replacement.parentNode = parent }) // Ensure parent refs are correct on new nodes
                             } else {
-                                this.warn(`Node index not found for replacement (${node.nodeName}) in ${src}`)
+                                this.warn(createLog('INTERNAL_ERROR', `Node index not found for replacement (${node.nodeName}).`, absolutePath))
                             }
                         } else {
-                            this.warn(`Parent node/childNodes not found for replacement (${node.nodeName}) in ${src}`)
+                            this.warn(createLog('INTERNAL_ERROR', `Parent node/childNodes not found for replacement (${node.nodeName}).`, absolutePath))
                         }
                     } else if (moduleId) {
-                        // Chunk not found for a module we expected: remove the original node
-                        this.warn(`Removing node for ${desc} in ${src} as its output chunk was not found.`)
+                        // Chunk not found for a module we expected (reported above): remove the original node
                         const parent = node.parentNode
                         if (parent?.childNodes) {
                             const index = parent.childNodes.findIndex(child => child === node)
@@ -515,7 +2611,6 @@ export default function RollupPlugin(options = {}) {
                         }
                     } else if (!moduleId && node.nodeName === '#comment') {
                         // Placeholder parsing failed earlier: remove the placeholder comment
-                        this.warn(`Removing unparsed placeholder comment in ${src}.`)
                         const parent = node.parentNode
                         if (parent?.childNodes) {
                             const index = parent.childNodes.findIndex(child => child === node)
@@ -524,26 +2619,261 @@ export default function RollupPlugin(options = {}) {
                     }
                 } // end loop through nodesToReplace
 
-                // --- Serialize the modified AST back to HTML ---
-                const Htmlcode = serialize(ast)
-
-                // --- Determine final HTML output filename (relative to outputDir) ---
-                let Html // The fileName for emitFile
-                if (isWithDest) {
-                    Html = dest.startsWith('/') ? dest.substring(1) : dest
-                } else if (config.preserveStructure) {
-                    Html = src
-                    if (path.isAbsolute(Html)) { // Ensure relative
-                        Html = path.relative(process.cwd(), absolutePath)
+                // --- Insert the SystemJS loader before the first legacy script ---
+                if (systemjsLoader && legacyOutput?.format === 'system' && legacyNodes.length > 0) {
+                    const first = legacyNodes[0]
+                    const loaderFile = systemjsLoader.referenceId && !systemjsLoader.url && !systemjsLoader.dataUri
+                        ? this.getFileName(systemjsLoader.referenceId) : null
+                    const loaderSrc = systemjsLoader.url || systemjsLoader.dataUri || toUrl(loaderFile)
+                    const loader = createElement('script', { nomodule: '', src: loaderSrc }, first.parentNode)
+                    if (loaderFile) addIntegrity(loader, bundle[loaderFile])
+                    first.parentNode.childNodes.splice(first.parentNode.childNodes.indexOf(first), 0, loader)
+                }
+
+                // --- Collect the entries' transitive static imports and their dynamic imports ---
+                // (chunks only: `imports` and `dynamicImports` also list external IDs)
+                const isChunk = (fileName) => moduleOutput.bundle[fileName]?.type === 'chunk'
+                const staticImports = new Set()
+                const collectImports = (fileName) => {
+                    for (const imported of moduleOutput.bundle[fileName]?.imports || []) {
+                        if (!isChunk(imported) || staticImports.has(imported) || entryChunks.includes(imported)) continue
+                        staticImports.add(imported)
+                        collectImports(imported)
+                    }
+                }
+                entryChunks.forEach(collectImports)
+                const dynamicImports = new Set([...entryChunks, ...staticImports]
+                    .flatMap(fileName => moduleOutput.bundle[fileName]?.dynamicImports || [])
+                    .filter(fileName => isChunk(fileName) && !staticImports.has(fileName) && !entryChunks.includes(fileName)))
+
+                // --- Inject <link rel="modulepreload"> for the entries' static imports ---
+                if (config.preload) {
+                    const head = findNodes(ast, node => node.nodeName === 'head')[0]
+                    for (const fileName of staticImports) {
+                        if (!preloadFilter(fileName) || !head) continue
+                        const link = createElement('link', {
+                            rel: config.preload.rel,
+                            href: toUrl(fromOutput(moduleOutput, fileName))
+                        }, head)
+                        addIntegrity(link, moduleOutput.bundle[fileName])
+                        head.childNodes.push(link)
+                    }
+                }
+
+                // --- Rewrite local stylesheet links to the emitted CSS assets ---
+                const pageCss = [] // Emitted stylesheets of this page
+                const stylesheetLinks = findNodes(ast, node => isStylesheetLink(node) && isLocalUrl(getAttribute(node, 'href')))
+                for (const node of stylesheetLinks) {
+                    const file = path.resolve(dir, cleanUrl(getAttribute(node, 'href')))
+                    if (!cssData.has(file)) continue // Missing file, already reported
+                    if (config.inline) {
+                        // Replace the link with a <style> holding the bundled CSS, url()s as data URIs
+                        const { code, urls } = cssData.get(file)
+                        const css = urls.reduce(
+                            (css, { placeholder, referenceId }) => css.split(placeholder).join(inlineFile(this.getFileName(referenceId))),
+                            code
+                        )
+                        const media = getAttribute(node, 'media')
+                        const style = createElement('style', media ? { media } : {}, node.parentNode)
+                        style.childNodes.push({ nodeName: '#text', value: css.replace(/<\/style/gi, '<\\/style'), parentNode: style })
+                        node.parentNode.childNodes.splice(node.parentNode.childNodes.indexOf(node), 1, style)
+                        continue
+                    }
+                    const fileName = emitStylesheet(file)
+                    pageCss.push(fileName)
+                    setAttribute(node, 'href', toUrl(fileName))
+                    addIntegrity(node, bundle[fileName])
+                }
+
+                // --- Rewrite classic <script src> to the emitted scripts (other attributes are kept) ---
+                const classicScriptNodes = findNodes(ast, node =>
+                    node.nodeName === 'script' && getAttribute(node, 'type') !== 'module' && isLocalUrl(getAttribute(node, 'src')))
+                for (const node of classicScriptNodes) {
+                    const referenceId = emittedScripts.get(path.resolve(dir, cleanUrl(getAttribute(node, 'src'))))
+                    if (!referenceId) continue // Missing, excluded or not executable
+                    const fileName = this.getFileName(referenceId)
+                    if (config.inline) {
+                        node.attrs = node.attrs.filter(attr => attr.name !== 'src')
+                        let code = String(bundle[fileName].source)
+                        const map = scriptMaps.get(referenceId)
+                        // Relative to the page the code now runs in
+                        if (map) code += `\n//# sourceMappingURL=${sourceMapUrl(map, fileName, `${fileName}.map`, urlBaseDir)}\n`
+                        setTextContent(node, code.replace(/<\/script/gi, '<\\/script'))
+                        inlinedFiles.add(fileName)
+                        continue
+                    }
+                    setAttribute(node, 'src', toUrl(fileName))
+                    addIntegrity(node, bundle[fileName])
+                }
+
+                // --- Rewrite local asset URLs to the emitted (or inlined) assets ---
+                if (config.assets) {
+                    findNodes(ast, node => !!node.attrs).forEach(node => visitAssetUrls(node, config.assets.attributes, url => {
+                        const asset = emittedAssets.get(path.resolve(dir, cleanUrl(url)))
+                        if (!asset) return undefined // Missing or excluded, keep original
+                        if (asset.dataUri) return asset.dataUri
+                        if (config.inline) return inlineFile(this.getFileName(asset.referenceId))
+                        return toUrl(this.getFileName(asset.referenceId)) + url.trim().slice(cleanUrl(url).length)
+                    }))
+                }
+
+                // --- Point links to other pages at their clean URLs (cleanUrls), in the same locale ---
+                if (config.cleanUrls) {
+                    const links = findNodes(ast, node => ['a', 'area'].includes(node.nodeName) && isLocalUrl(getAttribute(node, 'href')))
+                    for (const node of links) {
+                        const href = getAttribute(node, 'href')
+                        const file = path.resolve(dir, cleanUrl(href))
+                        if (!htmlData.has(file)) continue // Not a page of this build
+                        const url = toPageUrl(getHtmlFileName(file, htmlData.get(file), locale))
+                        setAttribute(node, 'href', url + href.trim().slice(cleanUrl(href).length))
+                    }
+                }
+
+                // --- Point import map entries at the chunks of their mapped modules (importMap.update) ---
+                if (config.importMap?.update && data.importMap) {
+                    const importMapNodes = findNodes(ast, node =>
+                        node.nodeName === 'script' && getAttribute(node, 'type') === 'importmap' && !getAttribute(node, 'src'))
+                    for (const node of importMapNodes) {
+                        let json
+                        try {
+                            json = JSON.parse(getTextContent(node))
+                        } catch {
+                            continue // Reported while parsing the page
+                        }
+                        const dropped = [] // Mappings of bundled source files without a chunk of their own (prefixes, scopes)
+                        const updateMap = (map = {}, scoped = false) => Object.fromEntries(Object.entries(map).flatMap(([key, address]) => {
+                            if (typeof address !== 'string' || !isLocalUrl(address)) return [[key, address]]
+                            const chunk = !scoped && !key.endsWith('/') && findEntryChunk(moduleOutput.bundle, path.resolve(dir, address))
+                            if (chunk) return [[key, toUrl(fromOutput(moduleOutput, chunk.fileName))]]
+                            dropped.push(key)
+                            return []
+                        }))
+                        json.imports = updateMap(json.imports)
+                        if (json.scopes) {
+                            json.scopes = Object.fromEntries(Object.entries(json.scopes).flatMap(([scope, map]) => {
+                                if (isLocalUrl(scope)) {
+                                    dropped.push(`scope "${scope}"`) // Matches source files, which are bundled
+                                    return []
+                                }
+                                const updated = updateMap(map, true)
+                                return Object.keys(updated).length > 0 ? [[scope, updated]] : []
+                            }))
+                            if (Object.keys(json.scopes).length === 0) delete json.scopes
+                        }
+                        if (dropped.length > 0) {
+                            this.warn(pageLog('IMPORT_MAP_ENTRIES_REMOVED', `Removed import map entries that refer to bundled source files: ${dropped.join(', ')}.`,
+                                getNodeLocation(node)))
+                        }
+                        setTextContent(node, JSON.stringify(json, null, config.minify ? undefined : 2))
+                    }
+                }
+
+                // --- Record the page's dependencies for the manifest ---
+                if (config.manifest) {
+                    const assetReferenceIds = [
+                        ...data.assets.map(file => emittedAssets.get(file)?.referenceId), // Undefined when inlined
+                        ...data.classicScripts.map(file => emittedScripts.get(file)),
+                        ...data.stylesheets.flatMap(file => cssData.get(file)?.urls.map(({ referenceId }) => referenceId) || [])
+                    ].filter(Boolean)
+                    const key = src.split(path.sep).join('/')
+                    if (locale && manifest[key]) {
+                        manifest[key].locales[locale] = Html.split(path.sep).join('/') // Same dependencies
+                    } else {
+                        manifest[key] = {
+                            file: getHtmlFileName(absolutePath, data, config.i18n?.defaultLocale).split(path.sep).join('/'),
+                            ...(locale && { locales: { [locale]: Html.split(path.sep).join('/') } }),
+                            entries: entryChunks.map(fileName => manifestPath(moduleOutput, fileName)),
+                            imports: [...staticImports].map(fileName => manifestPath(moduleOutput, fileName)),
+                            dynamicImports: [...dynamicImports].map(fileName => manifestPath(moduleOutput, fileName)),
+                            // External IDs imported by those chunks (as written, not files of the output)
+                            externals: [...new Set([...entryChunks, ...staticImports, ...dynamicImports]
+                                .flatMap(fileName => [...moduleOutput.bundle[fileName].imports, ...moduleOutput.bundle[fileName].dynamicImports])
+                                .filter(id => !isChunk(id)))],
+                            ...(legacyOutput && {
+                                legacyEntries: legacyChunks.map(fileName => manifestPath(legacyOutput, fileName))
+                            }),
+                            css: [...new Set(pageCss)],
+                            assets: [...new Set(assetReferenceIds.map(referenceId => this.getFileName(referenceId)))],
+                        }
+                    }
+                }
+
+                // --- Inject the live-reload client (dev server, watch builds only) ---
+                if (config.serve && this.meta.watchMode) {
+                    const head = findNodes(ast, node => node.nodeName === 'head')[0]
+                    const client = createElement('script', {}, head)
+                    client.childNodes.push({ nodeName: '#text', value: LIVE_RELOAD_CLIENT, parentNode: client })
+                    head?.childNodes.push(client)
+                }
+
+                // --- Register the service worker (not in dev server builds, where it would serve stale files) ---
+                if (config.serviceWorker && registerFilter(Html.split(path.sep).join('/')) && !(config.serve && this.meta.watchMode)) {
+                    const { fileName, scope } = config.serviceWorker
+                    const args = [toPageUrl(fileName), ...(scope ? [{ scope }] : [])].map(arg => JSON.stringify(arg)).join(',')
+                    const body = findNodes(ast, node => node.nodeName === 'body')[0]
+                    const script = createElement('script', {}, body)
+                    script.childNodes.push({
+                        nodeName: '#text',
+                        value: `if('serviceWorker' in navigator)addEventListener('load',()=>navigator.serviceWorker.register(${args}))`,
+                        parentNode: script
+                    })
+                    body?.childNodes.push(script)
+                }
+
+                // --- Post-bundle HTML transforms ---
+                ast = await runTransforms(ast, {
+                    stage: 'post', src, dest: data.dest,
+                    fileName: Html, locale, outputDir, bundle
+                })
+
+                // --- Minify the HTML (serialized with the markup options below) ---
+                if (config.minify) {
+                    await minifyAttributes(this, ast, absolutePath, data.template)
+                    if (config.minify.collapseWhitespace) collapseWhitespace(ast)
+                }
+
+                // --- Content-Security-Policy from the final inline scripts and styles ---
+                if (config.csp) {
+                    const hashSources = (nodes) => [...new Set(nodes
+                        .map(getTextContent)
+                        .filter(text => text.trim())
+                        .map(text => `'sha256-${crypto.createHash('sha256').update(text).digest('base64')}'`))]
+                    const scriptHashes = hashSources(findNodes(ast, node =>
+                        node.nodeName === 'script' && !getAttribute(node, 'src') && isExecutableScript(node)))
+                    const styleHashes = hashSources(findNodes(ast, node => node.nodeName === 'style'))
+
+                    const directives = { ...config.csp.directives }
+                    // A missing script-src/style-src falls back to default-src, so start from it
+                    const fallback = directives['default-src'] ?? ["'self'"]
+                    if (scriptHashes.length) directives['script-src'] = [...[].concat(directives['script-src'] ?? fallback), ...scriptHashes]
+                    if (styleHashes.length) directives['style-src'] = [...[].concat(directives['style-src'] ?? fallback), ...styleHashes]
+                    const policy = serializeCsp(directives)
+
+                    if (!policy) {
+                        this.warn(createLog('EMPTY_CSP', 'No Content-Security-Policy directives or inline hashes. Skipping.', absolutePath))
+                    } else if (config.csp.output === 'meta') {
+                        const head = findNodes(ast, node => node.nodeName === 'head')[0]
+                        // Insert before any script or style so the policy applies to them, but after
+                        // <meta charset>, which must stay within the first 1024 bytes
+                        const charset = head?.childNodes.findIndex(node => node.nodeName === 'meta' &&
+                            (getAttribute(node, 'charset') !== undefined || getAttribute(node, 'http-equiv')?.toLowerCase() === 'content-type'))
+                        head?.childNodes.splice(charset + 1, 0, createElement('meta', {
+                            'http-equiv': 'Content-Security-Policy',
+                            content: policy
+                        }, head))
+                    } else {
+                        policies.set(Html, policy)
                     }
-                } else {
-                    Html = path.basename(src)
                 }
 
+                // --- Serialize the modified AST back to HTML ---
+                const Htmlcode = config.minify ? serializeMinified(ast, config.minify) : serialize(ast)
+
                 // --- Check for output filename collisions ---
                 if (emitted.has(Html)) {
                     // This typically happens with preserveStructure: false and multiple index.html files
-                    this.error(`HTML output filename collision: "${Html}" in "${outputDir}". Use unique input keys or 'preserveStructure: true'.`)
+                    this.error(createLog('HTML_FILENAME_COLLISION',
+                        `HTML output filename collision: "${Html}" in "${outputDir}". Use unique input keys or 'preserveStructure: true'.`, absolutePath))
                     continue // Skip emitting this file to prevent overwrite
                 }
                 emitted.add(Html)
@@ -556,6 +2886,134 @@ export default function RollupPlugin(options = {}) {
                 })
 
             }
+
+            // --- Remove files inlined into the HTML (inline mode) ---
+            for (const fileName of inlinedFiles) {
+                delete bundle[fileName]
+            }
+
+            // --- Emit the service worker with a precache manifest of every emitted file (HTML included) ---
+            if (config.serviceWorker) {
+                const { fileName, src, injectionPoint } = config.serviceWorker
+                const workerDir = path.dirname(fileName)
+                const entries = new Map() // URL relative to the worker (or on `base`) to revision
+                for (const output of legacyOutput ? [moduleOutput, legacyOutput] : [moduleOutput]) {
+                    for (const [name, file] of Object.entries(output.bundle)) {
+                        const outputFile = fromOutput(output, name).split(path.sep).join('/')
+                        if (outputFile === fileName || !precacheFilter(outputFile)) continue
+                        // Pages are not served from `base`
+                        const url = !config.base || /\.html?$/.test(outputFile) ? toRelativeUrl(workerDir, outputFile)
+                            : typeof config.base === 'function' ? config.base({ htmlFile: fileName, assetFile: outputFile })
+                                : config.base + outputFile
+                        const content = file.type === 'chunk' ? file.code : file.source
+                        entries.set(url, crypto.createHash('sha256').update(content).digest('hex').slice(0, 16))
+                    }
+                }
+                const manifest = JSON.stringify([...entries].map(([url, revision]) => ({ url, revision })))
+                let source
+                if (src) {
+                    if (!serviceWorkerCode.includes(injectionPoint)) {
+                        this.warn(createLog('MISSING_INJECTION_POINT',
+                            `Service worker does not contain \`${injectionPoint}\`. Precache manifest not injected.`, path.resolve(src)))
+                    }
+                    source = serviceWorkerCode.split(injectionPoint).join(manifest)
+                } else {
+                    const version = crypto.createHash('sha256').update(manifest).digest('hex').slice(0, 16)
+                    source = SERVICE_WORKER
+                        .replace('__PRECACHE_MANIFEST__', () => manifest)
+                        .replace('__PRECACHE_VERSION__', version)
+                }
+                this.emitFile({ type: 'asset', fileName, source })
+            }
+
+            // --- Emit the HTML-to-chunk manifest ---
+            if (config.manifest) {
+                this.emitFile({
+                    type: 'asset',
+                    fileName: config.manifest.fileName,
+                    source: JSON.stringify({ version: 1, pages: manifest }, null, 2)
+                })
+            }
+
+            // --- Emit collected Content-Security-Policies ---
+            if (policies.size > 0) {
+                let fileName, source
+                if (config.csp.output === 'headers') {
+                    // Netlify/Cloudflare Pages style `_headers` file, one section per page
+                    fileName = config.csp.fileName || '_headers'
+                    source = [...policies].map(([Html, policy]) => {
+                        const urlPath = '/' + Html.split(path.sep).join('/')
+                        const paths = path.basename(Html) === 'index.html'
+                            ? [urlPath, urlPath.slice(0, -'index.html'.length)]
+                            : [urlPath]
+                        return paths.map(p => `${p}\n  Content-Security-Policy: ${policy}\n`).join('')
+                    }).join('\n')
+                } else {
+                    fileName = config.csp.fileName || 'csp.json'
+                    source = JSON.stringify(Object.fromEntries(policies), null, 2)
+                }
+                this.emitFile({ type: 'asset', fileName, source })
+            }
+        },
+
+        /**
+         * Rollup `closeBundle` hook. Fails when an output of `legacy` mode never got
+         * its pair, since the HTML is only emitted by the second one.
+         */
+        closeBundle() {
+            const [kind] = Object.keys(pairedOutputs)
+            if (kind) {
+                this.error(createLog('UNPAIRED_OUTPUT',
+                    `\`legacy\` needs a module output and a legacy output (${config.legacy.formats.join(', ')}), only a ${kind} output was generated. No HTML emitted.`))
+            }
+        },
+
+        /**
+         * Rollup `writeBundle` hook. In watch mode with `serve`, starts the dev
+         * server on the first write and notifies connected pages afterwards:
+         * a stylesheet swap when only CSS changed, a full reload otherwise.
+         * @param {object} outputOptions Output options.
+         * @param {object} bundle Written bundle.
+         */
+        async writeBundle(outputOptions, bundle) {
+            if (!config.serve || !this.meta.watchMode || !outputOptions.dir) return
+
+            // Which files changed since the previous write? (HTML changes whenever a hashed name does)
+            const changed = []
+            for (const [fileName, file] of Object.entries(bundle)) {
+                const hash = crypto.createHash('sha256').update(file.type === 'chunk' ? file.code : file.source).digest('hex')
+                if (fileHashes.get(fileName) !== hash && !fileName.endsWith('.html')) changed.push(fileName)
+                fileHashes.set(fileName, hash)
+            }
+
+            if (!devServer) {
+                try {
+                    devServer = await startDevServer({ root: path.resolve(outputOptions.dir), ...config.serve })
+                    this.info(createLog('DEV_SERVER', `Serving ${outputOptions.dir} at http://localhost:${devServer.port}/`))
+                } catch (e) {
+                    this.warn(createLog('DEV_SERVER_ERROR', `Could not start dev server: ${e.message}`))
+                    config.serve = false
+                }
+                return // First build, nothing to reload
+            }
+
+            const event = changed.length > 0 && changed.every(fileName => fileName.endsWith('.css')) ? 'css' : 'reload'
+            pendingEvent = pendingEvent === 'reload' ? 'reload' : event
+            clearTimeout(reloadTimer) // Several outputs may write in one build
+            reloadTimer = setTimeout(() => {
+                devServer?.broadcast(pendingEvent)
+                pendingEvent = null
+            }, 50)
+        },
+
+        /**
+         * Rollup `closeWatcher` hook. Stops the dev server.
+         */
+        async closeWatcher() {
+            clearTimeout(reloadTimer)
+            await devServer?.close()
+            devServer = null
+            fileHashes = new Map()
         }
     }
 }